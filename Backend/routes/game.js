@@ -5,6 +5,11 @@ const tradingRoundManager = require('../services/tradingRoundManager');
 const strategyManager = require('../services/strategyManager');
 const redisService = require('../services/redisService');
 const groqService = require('../services/groqService');
+const roundScheduler = require('../services/roundScheduler');
+const tournamentManager = require('../services/tournamentManager');
+const scoringService = require('../services/scoringService');
+const walletLedgerService = require('../services/walletLedgerService');
+const crypto = require('crypto');
 
 // ========== ENHANCED AI FUNCTIONS ==========
 
@@ -104,21 +109,86 @@ function generateGameTitle(config) {
   return templates[Math.floor(Math.random() * templates.length)];
 }
 
+// Round config from a request body (durations in seconds, converted to ms)
+function parseRoundConfig(body = {}) {
+  return {
+    title: body.title,
+    description: body.description,
+    duration: body.duration ? parseInt(body.duration) * 1000 : undefined,
+    startingBalance: body.startingBalance ? parseFloat(body.startingBalance) : undefined,
+    maxParticipants: body.maxParticipants ? parseInt(body.maxParticipants) : undefined,
+    executionInterval: body.executionInterval ? parseInt(body.executionInterval) * 1000 : undefined,
+    tickBudget: body.tickBudget ? parseFloat(body.tickBudget) * 1000 : undefined,
+    maxConcurrency: body.maxConcurrency ? parseInt(body.maxConcurrency) : undefined,
+    tickOverlap: body.tickOverlap,
+    allowedTokens: body.allowedTokens,
+    autoStart: body.autoStart,
+    minParticipants: body.minParticipants ? parseInt(body.minParticipants) : undefined,
+    positionSizing: body.positionSizing,
+    maxLeverage: body.maxLeverage ? parseFloat(body.maxLeverage) : undefined,
+    allowShorts: body.allowShorts,
+    maintenanceMargin: body.maintenanceMargin ? parseFloat(body.maintenanceMargin) : undefined,
+    maxSlippage: body.maxSlippage !== undefined ? parseFloat(body.maxSlippage) : undefined,
+    partialFills: body.partialFills,
+    feeTier: body.feeTier,
+    tradingFee: body.tradingFee !== undefined ? parseFloat(body.tradingFee) : undefined,
+    gasCostUsd: body.gasCostUsd !== undefined ? parseFloat(body.gasCostUsd) : undefined,
+    feeRebate: body.feeRebate !== undefined ? parseFloat(body.feeRebate) : undefined,
+    countdownDuration: body.countdownDuration ? parseInt(body.countdownDuration) * 1000 : undefined,
+    countdownOnJoin: body.countdownOnJoin,
+    countdownExtension: body.countdownExtension ? parseInt(body.countdownExtension) * 1000 : undefined,
+    fullRoomCountdown: body.fullRoomCountdown ? parseInt(body.fullRoomCountdown) * 1000 : undefined,
+    mode: body.mode,
+    gameType: body.gameType,
+    maxTeamSize: body.maxTeamSize ? parseInt(body.maxTeamSize) : undefined,
+    maxTeams: body.maxTeams ? parseInt(body.maxTeams) : undefined,
+    eliminationInterval: body.eliminationInterval ? parseInt(body.eliminationInterval) : undefined,
+    eliminationCount: body.eliminationCount ? parseInt(body.eliminationCount) : undefined,
+    manualTrading: body.manualTrading,
+    maxBotPauses: body.maxBotPauses !== undefined ? parseInt(body.maxBotPauses) : undefined,
+    maxStrategySwaps: body.maxStrategySwaps !== undefined ? parseInt(body.maxStrategySwaps) : undefined,
+    allowFlatten: body.allowFlatten,
+    scoring: body.scoring,
+    entryFee: body.entryFee !== undefined ? parseFloat(body.entryFee) : undefined,
+    rakePercent: body.rakePercent !== undefined ? parseFloat(body.rakePercent) : undefined,
+    payoutCurve: body.payoutCurve
+  };
+}
+
+// Participant control key from the body or the x-participant-key header (issued by join-round)
+function getParticipantKey(req) {
+  return req.body.participantKey || req.get('x-participant-key');
+}
+
+// Operator-only routes (e.g. crediting balances) need the OPERATOR_KEY env secret in the x-operator-key header
+function requireOperator(req, res, next) {
+  const operatorKey = process.env.OPERATOR_KEY;
+  if (!operatorKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Operator routes are disabled: OPERATOR_KEY is not configured'
+    });
+  }
+
+  const expected = crypto.createHash('sha256').update(operatorKey).digest();
+  const provided = crypto.createHash('sha256').update(req.get('x-operator-key') || '').digest();
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Operator key required'
+    });
+  }
+
+  next();
+}
+
 // ========== BASIC ROUND MANAGEMENT ==========
 
 // Create a new trading round
 router.post('/create-round', async (req, res) => {
   try {
     const config = {
-      title: req.body.title,
-      description: req.body.description,
-      duration: req.body.duration ? parseInt(req.body.duration) * 1000 : undefined,
-      startingBalance: req.body.startingBalance ? parseFloat(req.body.startingBalance) : undefined,
-      maxParticipants: req.body.maxParticipants ? parseInt(req.body.maxParticipants) : undefined,
-      executionInterval: req.body.executionInterval ? parseInt(req.body.executionInterval) * 1000 : undefined,
-      allowedTokens: req.body.allowedTokens,
-      autoStart: req.body.autoStart,
-      minParticipants: req.body.minParticipants ? parseInt(req.body.minParticipants) : undefined,
+      ...parseRoundConfig(req.body),
       createdBy: req.body.createdBy || 'api'
     };
 
@@ -153,7 +223,11 @@ router.post('/create-game-from-prompt', async (req, res) => {
       startingBalance, // Will be extracted from prompt
       executionInterval = 15,
       autoStart = true,
-      createdBy = 'ai-prompt'
+      createdBy = 'ai-prompt',
+      scoring = 'profit_vs_target', // AI games are judged against their extracted profit target
+      entryFee,
+      rakePercent,
+      payoutCurve
     } = req.body;
     
     if (!query) {
@@ -184,6 +258,11 @@ router.post('/create-game-from-prompt', async (req, res) => {
       allowedTokens: gameConfig.tokens || ['ETH', 'TOSHI', 'DEGEN'],
       autoStart,
       createdBy,
+      scoring,
+      entryFee,
+      rakePercent,
+      payoutCurve,
+      gameType: gameConfig.gameType,
       // Add AI-specific metadata including profit tracking
       aiGenerated: true,
       originalPrompt: query,
@@ -248,42 +327,11 @@ router.post('/get-enhanced-leaderboard', async (req, res) => {
     // Get basic leaderboard
     const basicLeaderboard = await tradingRoundManager.getLeaderboard(roundId, limit);
     
-    // Enhance with profit scores
-    const enhancedLeaderboard = basicLeaderboard.map(entry => {
-      const actualProfitPercent = entry.pnlPercentage || 0;
-      const expectedProfitPercent = round.profitTracking?.expectedProfitPercent || 5;
-      
-      // Calculate profit score: actual profit / expected profit
-      const profitScore = expectedProfitPercent !== 0 ? 
-        (actualProfitPercent / expectedProfitPercent) : 0;
-      
-      // Calculate letter grade based on score
-      let grade = 'F';
-      if (profitScore >= 2.0) grade = 'A+';
-      else if (profitScore >= 1.5) grade = 'A';
-      else if (profitScore >= 1.2) grade = 'B+';
-      else if (profitScore >= 1.0) grade = 'B';
-      else if (profitScore >= 0.8) grade = 'C+';
-      else if (profitScore >= 0.6) grade = 'C';
-      else if (profitScore >= 0.4) grade = 'D';
-      
-      return {
-        ...entry,
-        profitScore: Math.round(profitScore * 100) / 100, // Round to 2 decimals
-        grade,
-        expectedProfitPercent,
-        actualProfitPercent: Math.round(actualProfitPercent * 100) / 100,
-        scoreDescription: `${Math.round(actualProfitPercent * 100) / 100}% / ${expectedProfitPercent}% = ${Math.round(profitScore * 100) / 100}x`
-      };
-    });
-    
-    // Sort by profit score (highest first)
-    enhancedLeaderboard.sort((a, b) => b.profitScore - a.profitScore);
-    
-    // Update ranks based on profit score
-    enhancedLeaderboard.forEach((entry, index) => {
-      entry.rank = index + 1;
-    });
+    // Enhance with profit scores; ranks come from the round's scorer, same as get-leaderboard
+    const enhancedLeaderboard = basicLeaderboard.map(entry => ({
+      ...entry,
+      ...scoringService.describeProfitVsTarget(entry, round)
+    }));
     
     res.json({
       success: true,
@@ -291,9 +339,10 @@ router.post('/get-enhanced-leaderboard', async (req, res) => {
       leaderboard: enhancedLeaderboard,
       count: enhancedLeaderboard.length,
       roundInfo: {
-        expectedProfitPercent: round.profitTracking?.expectedProfitPercent || 5,
+        expectedProfitPercent: scoringService.getProfitTarget(round),
+        scorer: round.settings.scoring?.scorer || 'pnl',
         investmentAmount: round.profitTracking?.investmentAmount || round.startingBalance,
-        gameType: round.aiConfig?.gameType || 'trading'
+        gameType: round.gameType || 'trading'
       }
     });
 
@@ -501,7 +550,9 @@ router.post('/join-round', async (req, res) => {
       username, 
       strategyId,         // Existing strategy ID
       royaltyPercent,     // For new strategies
-      licenseStrategyId   // License someone else's strategy
+      licenseStrategyId,  // License someone else's strategy
+      teamName,           // Required in team rounds
+      manual              // Human player in a manual-trading round, no strategy
     } = req.body;
     
     if (!roundId || !walletAddress) {
@@ -511,11 +562,11 @@ router.post('/join-round', async (req, res) => {
       });
     }
 
-    // Must have either strategy text, strategyId, or licenseStrategyId
-    if (!strategy && !strategyId && !licenseStrategyId) {
+    // Must have either strategy text, strategyId, or licenseStrategyId (or join as a human)
+    if (!strategy && !strategyId && !licenseStrategyId && !manual) {
       return res.status(400).json({
         success: false,
-        error: 'Must provide either strategy text, strategyId, or licenseStrategyId'
+        error: 'Must provide either strategy text, strategyId, licenseStrategyId, or manual: true'
       });
     }
 
@@ -525,7 +576,9 @@ router.post('/join-round', async (req, res) => {
       username,
       strategyId,
       royaltyPercent,
-      licenseStrategyId
+      licenseStrategyId,
+      teamName,
+      manual
     });
     
     res.json({
@@ -533,6 +586,8 @@ router.post('/join-round', async (req, res) => {
       participant,
       strategyId: participant.strategy?.id,
       isLicensed: participant.strategy?.isLicensed,
+      team: participant.team,
+      participantKey: participant.controlKey, // keep this: required for pause-bot, flatten, swap-strategy and place-order
       message: 'Successfully joined the round'
     });
 
@@ -546,6 +601,170 @@ router.post('/join-round', async (req, res) => {
   }
 });
 
+// Place a market order by hand (manual-trading rounds)
+router.post('/place-order', async (req, res) => {
+  try {
+    const { roundId, walletAddress, token, side, amount, fraction, leverage, stopLoss, takeProfit } = req.body;
+
+    if (!roundId || !walletAddress || !token || !side) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID, wallet address, token and side are required'
+      });
+    }
+
+    const order = await tradingRoundManager.placeManualOrder(roundId, walletAddress, getParticipantKey(req), {
+      token,
+      side,
+      amount,
+      fraction,
+      leverage,
+      stopLoss,
+      takeProfit
+    });
+
+    res.json({
+      success: order.executed,
+      order,
+      message: order.executed
+        ? 'Order filled'
+        : 'Order not filled (size, cash, slippage or shorting limits)'
+    });
+
+  } catch (error) {
+    console.error('Place order error:', error);
+    res.status(error.message === 'Invalid participant key' ? 401 : 400).json({
+      success: false,
+      error: 'Failed to place order',
+      message: error.message
+    });
+  }
+});
+
+// ========== PARTICIPANT CONTROLS ==========
+
+// Pause your own bot (AI signals stop; open positions keep their exits)
+router.post('/pause-bot', async (req, res) => {
+  try {
+    const { roundId, walletAddress, reason } = req.body;
+
+    if (!roundId || !walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID and wallet address are required'
+      });
+    }
+
+    const controls = await tradingRoundManager.setBotPaused(roundId, walletAddress, getParticipantKey(req), true, reason);
+
+    res.json({
+      success: true,
+      controls,
+      message: 'Bot paused'
+    });
+
+  } catch (error) {
+    console.error('Pause bot error:', error);
+    res.status(error.message === 'Invalid participant key' ? 401 : 400).json({
+      success: false,
+      error: 'Failed to pause bot',
+      message: error.message
+    });
+  }
+});
+
+// Resume your own bot
+router.post('/resume-bot', async (req, res) => {
+  try {
+    const { roundId, walletAddress } = req.body;
+
+    if (!roundId || !walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID and wallet address are required'
+      });
+    }
+
+    const controls = await tradingRoundManager.setBotPaused(roundId, walletAddress, getParticipantKey(req), false);
+
+    res.json({
+      success: true,
+      controls,
+      message: 'Bot resumed'
+    });
+
+  } catch (error) {
+    console.error('Resume bot error:', error);
+    res.status(error.message === 'Invalid participant key' ? 401 : 400).json({
+      success: false,
+      error: 'Failed to resume bot',
+      message: error.message
+    });
+  }
+});
+
+// Close all of your open positions at market
+router.post('/flatten-positions', async (req, res) => {
+  try {
+    const { roundId, walletAddress } = req.body;
+
+    if (!roundId || !walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID and wallet address are required'
+      });
+    }
+
+    const result = await tradingRoundManager.flattenPositions(roundId, walletAddress, getParticipantKey(req));
+
+    res.json({
+      success: true,
+      ...result,
+      message: result.remaining.length > 0
+        ? `Flattened with ${result.remaining.length} position(s) still open (slippage limit)`
+        : 'All positions closed'
+    });
+
+  } catch (error) {
+    console.error('Flatten positions error:', error);
+    res.status(error.message === 'Invalid participant key' ? 401 : 400).json({
+      success: false,
+      error: 'Failed to flatten positions',
+      message: error.message
+    });
+  }
+});
+
+// Replace your strategy mid-round (limited by the round's maxStrategySwaps)
+router.post('/swap-strategy', async (req, res) => {
+  try {
+    const { roundId, walletAddress, strategy } = req.body;
+
+    if (!roundId || !walletAddress || !strategy) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID, wallet address and strategy are required'
+      });
+    }
+
+    const result = await tradingRoundManager.swapStrategy(roundId, walletAddress, getParticipantKey(req), strategy);
+
+    res.json({
+      success: true,
+      ...result,
+      message: 'Strategy replaced'
+    });
+
+  } catch (error) {
+    console.error('Swap strategy error:', error);
+    res.status(error.message === 'Invalid participant key' ? 401 : 400).json({
+      success: false,
+      error: 'Failed to swap strategy',
+      message: error.message
+    });
+  }
+});
+
 // Register a new strategy
 router.post('/register-strategy', async (req, res) => {
   try {
@@ -612,6 +831,36 @@ router.post('/get-user-strategies', async (req, res) => {
   }
 });
 
+// Royalties a strategy owner earned from licensees, by round
+router.post('/get-royalty-statement', async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+    
+    if (!walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet address is required'
+      });
+    }
+    
+    const statement = await strategyManager.getRoyaltyStatement(walletAddress);
+    
+    res.json({
+      success: true,
+      ...statement,
+      count: statement.rounds.length
+    });
+
+  } catch (error) {
+    console.error('Royalty statement error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get royalty statement',
+      message: error.message
+    });
+  }
+});
+
 // Get strategy marketplace (top strategies)
 router.post('/get-marketplace', async (req, res) => {
   try {
@@ -667,6 +916,96 @@ router.post('/start-round', async (req, res) => {
   }
 });
 
+// Pause an active round
+router.post('/pause-round', async (req, res) => {
+  try {
+    const { roundId, reason } = req.body;
+    
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+    
+    const round = await tradingRoundManager.pauseRound(roundId, reason);
+    
+    res.json({
+      success: true,
+      round,
+      message: 'Round paused successfully'
+    });
+
+  } catch (error) {
+    console.error('Pause round error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to pause round',
+      message: error.message
+    });
+  }
+});
+
+// Resume a paused round
+router.post('/resume-round', async (req, res) => {
+  try {
+    const { roundId } = req.body;
+    
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+    
+    const round = await tradingRoundManager.resumeRound(roundId);
+    
+    res.json({
+      success: true,
+      round,
+      message: 'Round resumed successfully'
+    });
+
+  } catch (error) {
+    console.error('Resume round error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to resume round',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a round and void its results
+router.post('/cancel-round', async (req, res) => {
+  try {
+    const { roundId, reason } = req.body;
+    
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+    
+    const round = await tradingRoundManager.cancelRound(roundId, reason);
+    
+    res.json({
+      success: true,
+      round,
+      message: 'Round cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Cancel round error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to cancel round',
+      message: error.message
+    });
+  }
+});
+
 // Get round details
 router.post('/get-round', async (req, res) => {
   try {
@@ -719,10 +1058,17 @@ router.post('/get-leaderboard', async (req, res) => {
     
     const leaderboard = await tradingRoundManager.getLeaderboard(roundId, parseInt(limit));
     
+    // Team rounds also rank teams with each member's contribution
+    const round = await tradingRoundManager.getRound(roundId);
+    const teams = round?.settings.mode === 'team'
+      ? await tradingRoundManager.getTeamLeaderboard(roundId, parseInt(limit))
+      : undefined;
+    
     res.json({
       success: true,
       roundId,
       leaderboard,
+      teams,
       count: leaderboard.length
     });
 
@@ -736,58 +1082,698 @@ router.post('/get-leaderboard', async (req, res) => {
   }
 });
 
-// List rounds by status
-router.post('/list-rounds', async (req, res) => {
+// Equity curve, drawdowns and risk-adjusted stats for one participant
+router.post('/get-participant-analytics', async (req, res) => {
   try {
-    const { status = 'active', limit = 20 } = req.body;
-    
-    const rounds = await tradingRoundManager.listRounds(status);
-    
-    // Add participant counts
-    for (const round of rounds) {
-      const participantAddresses = await redisService.sMembers(`round:${round.id}:participants`);
-      round.currentParticipants = participantAddresses.length;
+    const { roundId, walletAddress } = req.body;
+
+    if (!roundId || !walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID and wallet address are required'
+      });
     }
-    
+
+    const analytics = await tradingRoundManager.getParticipantAnalytics(roundId, walletAddress);
+
     res.json({
       success: true,
-      status,
-      rounds: rounds.slice(0, parseInt(limit)),
-      count: rounds.length
+      ...analytics
     });
 
   } catch (error) {
-    console.error('List rounds error:', error);
-    res.status(500).json({
+    console.error('Participant analytics error:', error);
+    res.status(error.message.endsWith('not found') ? 404 : 500).json({
       success: false,
-      error: 'Failed to list rounds',
+      error: 'Failed to get participant analytics',
       message: error.message
     });
   }
 });
 
-// Check if wallet can join round
-router.post('/can-join', async (req, res) => {
+// Per-tick execution metrics: duration, signals produced/dropped, skipped and over-budget ticks
+router.post('/get-execution-metrics', async (req, res) => {
   try {
-    const { roundId, walletAddress } = req.body;
-    
-    if (!roundId || !walletAddress) {
+    const { roundId, limit = 100 } = req.body;
+
+    if (!roundId) {
       return res.status(400).json({
         success: false,
-        error: 'Round ID and wallet address are required'
+        error: 'Round ID is required'
       });
     }
-    
-    const round = await tradingRoundManager.getRound(roundId);
-    if (!round) {
-      return res.json({
-        success: false,
-        canJoin: false,
-        reason: 'Round not found'
+
+    const metrics = await tradingRoundManager.getTickMetrics(roundId, parseInt(limit));
+
+    res.json({
+      success: true,
+      ...metrics
+    });
+
+  } catch (error) {
+    console.error('Execution metrics error:', error);
+    res.status(error.message === 'Round not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get execution metrics',
+      message: error.message
+    });
+  }
+});
+
+// Fill ledger: every fill in the round, or one participant's when walletAddress is given
+router.post('/get-fills', async (req, res) => {
+  try {
+    const { roundId, walletAddress, token, fromSequence = 1, limit = 200 } = req.body;
+
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+
+    const { fills, summary } = await tradingRoundManager.getFills(roundId, {
+      walletAddress,
+      token,
+      fromSequence: parseInt(fromSequence),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      roundId,
+      walletAddress: walletAddress || null,
+      fills,
+      summary,
+      count: fills.length
+    });
+
+  } catch (error) {
+    console.error('Get fills error:', error);
+    res.status(error.message.endsWith('not found') ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get fills',
+      message: error.message
+    });
+  }
+});
+
+// Equal-weight and ETH-only buy-and-hold curves, to chart against participant equity
+router.post('/get-benchmark-curves', async (req, res) => {
+  try {
+    const { roundId } = req.body;
+
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+
+    const benchmarks = await tradingRoundManager.getBenchmarkCurves(roundId);
+
+    res.json({
+      success: true,
+      ...benchmarks
+    });
+
+  } catch (error) {
+    console.error('Benchmark curves error:', error);
+    res.status(error.message === 'Round not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get benchmark curves',
+      message: error.message
+    });
+  }
+});
+
+// Per-tick price snapshots used for every signal, fill and valuation (audit trail)
+router.post('/get-price-snapshots', async (req, res) => {
+  try {
+    const { roundId, fromTick = 1, limit = 100 } = req.body;
+
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+
+    const snapshots = await tradingRoundManager.getPriceSnapshots(roundId, {
+      fromTick: parseInt(fromTick),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      roundId,
+      snapshots,
+      count: snapshots.length
+    });
+
+  } catch (error) {
+    console.error('Get price snapshots error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get price snapshots',
+      message: error.message
+    });
+  }
+});
+
+// List rounds by status
+router.post('/list-rounds', async (req, res) => {
+  try {
+    const { status = 'active', limit = 20 } = req.body;
+    
+    const rounds = await tradingRoundManager.listRounds(status);
+    
+    // Add participant counts
+    for (const round of rounds) {
+      const participantAddresses = await redisService.sMembers(`round:${round.id}:participants`);
+      round.currentParticipants = participantAddresses.length;
+    }
+    
+    res.json({
+      success: true,
+      status,
+      rounds: rounds.slice(0, parseInt(limit)),
+      count: rounds.length
+    });
+
+  } catch (error) {
+    console.error('List rounds error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list rounds',
+      message: error.message
+    });
+  }
+});
+
+// ========== WALLET BALANCES & PAYOUTS ==========
+
+// Credit a wallet's internal balance (used to fund entry fees); operator only, players cannot mint their own balance
+router.post('/wallet/deposit', requireOperator, async (req, res) => {
+  try {
+    const { walletAddress, amount, memo } = req.body;
+    const value = parseFloat(amount);
+
+    if (!walletAddress || !(value > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet address and a positive amount are required'
+      });
+    }
+
+    if (walletAddress === walletLedgerService.houseAccount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot deposit to the house account'
+      });
+    }
+
+    const entry = await walletLedgerService.credit(walletAddress, value, {
+      type: 'deposit',
+      memo: memo || 'Deposit'
+    });
+
+    res.json({
+      success: true,
+      entry,
+      balance: entry.balanceAfter,
+      message: 'Deposit recorded'
+    });
+
+  } catch (error) {
+    console.error('Wallet deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record deposit',
+      message: error.message
+    });
+  }
+});
+
+// Balance, totals by type and ledger entries for a wallet
+router.post('/wallet/statement', async (req, res) => {
+  try {
+    const { walletAddress, roundId, limit = 100 } = req.body;
+
+    if (!walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet address is required'
+      });
+    }
+
+    const statement = await walletLedgerService.getStatement(walletAddress, {
+      roundId,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      ...statement
+    });
+
+  } catch (error) {
+    console.error('Wallet statement error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get wallet statement',
+      message: error.message
+    });
+  }
+});
+
+// Prize pool, rake and payouts for a round
+router.post('/payout-statement', async (req, res) => {
+  try {
+    const { roundId } = req.body;
+
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+
+    const statement = await tradingRoundManager.getPayoutStatement(roundId);
+
+    res.json({
+      success: true,
+      ...statement
+    });
+
+  } catch (error) {
+    console.error('Payout statement error:', error);
+    res.status(error.message === 'Round not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get payout statement',
+      message: error.message
+    });
+  }
+});
+
+// Retry prize payouts that failed when a round settled
+router.post('/retry-payouts', async (req, res) => {
+  try {
+    const { roundId } = req.body;
+
+    if (!roundId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID is required'
+      });
+    }
+
+    const statement = await tradingRoundManager.retryPrizePool(roundId);
+
+    res.json({
+      success: true,
+      settled: Boolean(statement.settledAt),
+      ...statement
+    });
+
+  } catch (error) {
+    console.error('Retry payouts error:', error);
+    res.status(error.message === 'Round not found' ? 404 : 400).json({
+      success: false,
+      error: 'Failed to retry payouts',
+      message: error.message
+    });
+  }
+});
+
+// ========== SCHEDULED ROUNDS ==========
+
+// Create a schedule, e.g. { name, cron: "0 * * * *", roundConfig: { duration: 600, allowedTokens: [...] } }
+router.post('/schedules/create', async (req, res) => {
+  try {
+    const { name, cron, roundConfig, enabled, allowOverlap, createdBy } = req.body;
+
+    if (!name || !cron) {
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule name and cron expression are required'
+      });
+    }
+
+    const schedule = await roundScheduler.createSchedule({
+      name,
+      cron,
+      roundConfig: parseRoundConfig(roundConfig),
+      enabled,
+      allowOverlap,
+      createdBy
+    });
+
+    res.json({
+      success: true,
+      schedule,
+      message: 'Schedule created successfully'
+    });
+
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+});
+
+// List all schedules
+router.post('/schedules/list', async (req, res) => {
+  try {
+    const schedules = await roundScheduler.listSchedules();
+
+    res.json({
+      success: true,
+      schedules,
+      total: schedules.length
+    });
+
+  } catch (error) {
+    console.error('List schedules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+// Get one schedule
+router.post('/schedules/get', async (req, res) => {
+  try {
+    const { scheduleId } = req.body;
+
+    if (!scheduleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule ID is required'
+      });
+    }
+
+    const schedule = await roundScheduler.getSchedule(scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get schedule',
+      message: error.message
+    });
+  }
+});
+
+// Update a schedule's name, cron, round config, enabled or allowOverlap flags
+router.post('/schedules/update', async (req, res) => {
+  try {
+    const { scheduleId, name, cron, roundConfig, enabled, allowOverlap } = req.body;
+
+    if (!scheduleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule ID is required'
+      });
+    }
+
+    const schedule = await roundScheduler.updateSchedule(scheduleId, {
+      name,
+      cron,
+      roundConfig: roundConfig !== undefined ? parseRoundConfig(roundConfig) : undefined,
+      enabled,
+      allowOverlap
+    });
+
+    res.json({
+      success: true,
+      schedule,
+      message: 'Schedule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to update schedule',
+      message: error.message
+    });
+  }
+});
+
+// Delete a schedule
+router.post('/schedules/delete', async (req, res) => {
+  try {
+    const { scheduleId } = req.body;
+
+    if (!scheduleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule ID is required'
+      });
+    }
+
+    await roundScheduler.deleteSchedule(scheduleId);
+
+    res.json({
+      success: true,
+      scheduleId,
+      message: 'Schedule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+});
+
+// ========== TOURNAMENTS ==========
+
+// Create a tournament: qualifier rounds open immediately, the top finalSize meet in the final
+router.post('/tournaments/create', async (req, res) => {
+  try {
+    const { name, description, stages, qualifierRounds, finalSize, pointsTable, roundConfig, createdBy } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tournament name is required'
+      });
+    }
+
+    const tournament = await tournamentManager.createTournament({
+      name,
+      description,
+      stages,
+      qualifierRounds,
+      finalSize,
+      pointsTable,
+      roundConfig: parseRoundConfig(roundConfig),
+      createdBy
+    });
+
+    res.json({
+      success: true,
+      tournament,
+      standings: tournamentManager.getStandings(tournament),
+      bracket: tournamentManager.getBracket(tournament),
+      message: 'Tournament created successfully'
+    });
+
+  } catch (error) {
+    console.error('Create tournament error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create tournament',
+      message: error.message
+    });
+  }
+});
+
+// List tournaments, optionally by status (running, finished)
+router.post('/tournaments/list', async (req, res) => {
+  try {
+    const tournaments = await tournamentManager.listTournaments(req.body.status);
+
+    res.json({
+      success: true,
+      tournaments: tournaments.map(t => ({
+        id: t.id,
+        name: t.name,
+        status: t.status,
+        currentStage: t.currentStage,
+        stages: t.stages.length,
+        players: Object.keys(t.standings).length,
+        winner: t.winner,
+        createdAt: t.createdAt
+      })),
+      total: tournaments.length
+    });
+
+  } catch (error) {
+    console.error('List tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list tournaments',
+      message: error.message
+    });
+  }
+});
+
+// Tournament details with cumulative standings and the bracket
+router.post('/tournaments/get', async (req, res) => {
+  try {
+    const { tournamentId } = req.body;
+
+    if (!tournamentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tournament ID is required'
+      });
+    }
+
+    const tournament = await tournamentManager.getTournament(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      tournament,
+      standings: tournamentManager.getStandings(tournament),
+      bracket: tournamentManager.getBracket(tournament)
+    });
+
+  } catch (error) {
+    console.error('Get tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tournament',
+      message: error.message
+    });
+  }
+});
+
+// Cumulative standings only
+router.post('/tournaments/standings', async (req, res) => {
+  try {
+    const { tournamentId } = req.body;
+
+    if (!tournamentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tournament ID is required'
+      });
+    }
+
+    const tournament = await tournamentManager.getTournament(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      tournamentId,
+      status: tournament.status,
+      pointsTable: tournament.pointsTable,
+      standings: tournamentManager.getStandings(tournament)
+    });
+
+  } catch (error) {
+    console.error('Tournament standings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tournament standings',
+      message: error.message
+    });
+  }
+});
+
+// Bracket only: stages, their rounds, results and advancers
+router.post('/tournaments/bracket', async (req, res) => {
+  try {
+    const { tournamentId } = req.body;
+
+    if (!tournamentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tournament ID is required'
+      });
+    }
+
+    const tournament = await tournamentManager.getTournament(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      tournamentId,
+      currentStage: tournament.currentStage,
+      bracket: tournamentManager.getBracket(tournament)
+    });
+
+  } catch (error) {
+    console.error('Tournament bracket error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tournament bracket',
+      message: error.message
+    });
+  }
+});
+
+// Check if wallet can join round
+router.post('/can-join', async (req, res) => {
+  try {
+    const { roundId, walletAddress } = req.body;
+    
+    if (!roundId || !walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round ID and wallet address are required'
       });
     }
     
-    if (round.status !== 'waiting') {
+    const round = await tradingRoundManager.getRound(roundId);
+    if (!round) {
+      return res.json({
+        success: false,
+        canJoin: false,
+        reason: 'Round not found'
+      });
+    }
+    
+    if (!['waiting', 'countdown'].includes(round.status)) {
       return res.json({
         success: false,
         canJoin: false,
@@ -814,6 +1800,15 @@ router.post('/can-join', async (req, res) => {
       });
     }
     
+    const entryFee = round.prizePool?.entryFee || 0;
+    if (entryFee > 0 && await walletLedgerService.getBalance(walletAddress) < entryFee) {
+      return res.json({
+        success: false,
+        canJoin: false,
+        reason: `Entry fee is ${entryFee}, balance too low`
+      });
+    }
+    
     res.json({
       success: true,
       canJoin: true,
@@ -822,7 +1817,8 @@ router.post('/can-join', async (req, res) => {
         title: round.title,
         currentParticipants: participantAddresses.length,
         maxParticipants: round.maxParticipants,
-        status: round.status
+        status: round.status,
+        entryFee
       }
     });
     
@@ -9,6 +9,8 @@ const socketIo = require('socket.io');
 const redisService = require('./services/redisService');
 const groqService = require('./services/groqService');
 const tradingRoundManager = require('./services/tradingRoundManager');
+const roundScheduler = require('./services/roundScheduler');
+const tournamentManager = require('./services/tournamentManager');
 
 // Import routes
 const tradingRoutes = require('./routes/trading');
@@ -96,6 +98,30 @@ io.on('connection', (socket) => {
     console.log(`📡 Client ${socket.id} left round ${roundId}`);
   });
 
+  // Manual-trading rounds: place a market order, result comes back through the ack callback
+  socket.on('place_order', async (payload = {}, ack) => {
+    const { roundId, walletAddress, participantKey, ...order } = payload;
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const result = await tradingRoundManager.placeManualOrder(roundId, walletAddress, participantKey, order);
+      respond({ success: result.executed, order: result });
+    } catch (error) {
+      respond({ success: false, error: error.message });
+    }
+  });
+
+  // Tournament room for standings and bracket updates
+  socket.on('join_tournament', (tournamentId) => {
+    socket.join(`tournament:${tournamentId}`);
+    console.log(`📡 Client ${socket.id} joined tournament ${tournamentId}`);
+  });
+
+  socket.on('leave_tournament', (tournamentId) => {
+    socket.leave(`tournament:${tournamentId}`);
+    console.log(`📡 Client ${socket.id} left tournament ${tournamentId}`);
+  });
+
   socket.on('disconnect', () => {
     console.log(`🔌 Client disconnected: ${socket.id}`);
   });
@@ -118,6 +144,58 @@ tradingRoundManager.on('roundEnded', (data) => {
   io.to(`round:${data.roundId}`).emit('round_ended', data);
 });
 
+tradingRoundManager.on('countdownTick', (data) => {
+  io.to(`round:${data.roundId}`).emit('countdown_tick', data);
+});
+
+// Every lifecycle transition (waiting → countdown → active → settling → finished/cancelled)
+tradingRoundManager.on('roundStateChanged', (data) => {
+  io.to(`round:${data.roundId}`).emit('round_state_changed', data);
+});
+
+tradingRoundManager.on('roundPaused', (data) => {
+  io.to(`round:${data.roundId}`).emit('round_paused', data);
+});
+
+tradingRoundManager.on('roundResumed', (data) => {
+  io.to(`round:${data.roundId}`).emit('round_resumed', data);
+});
+
+tradingRoundManager.on('roundCancelled', (data) => {
+  io.to(`round:${data.roundId}`).emit('round_cancelled', data);
+});
+
+// Participant kill switch, flatten and strategy swaps
+tradingRoundManager.on('participantControlChanged', (data) => {
+  io.to(`round:${data.roundId}`).emit('participant_control_changed', data);
+});
+
+tradingRoundManager.on('manualOrderPlaced', (data) => {
+  io.to(`round:${data.roundId}`).emit('order_placed', data);
+});
+
+// Elimination rounds: players knocked out at a checkpoint
+tradingRoundManager.on('participantsEliminated', (data) => {
+  io.to(`round:${data.roundId}`).emit('participants_eliminated', data);
+});
+
+tradingRoundManager.on('roundsRecovered', (data) => {
+  io.emit('rounds_recovered', data);
+});
+
+// Tournament event handlers
+tournamentManager.on('tournamentUpdated', (data) => {
+  io.to(`tournament:${data.tournamentId}`).emit('tournament_updated', data);
+});
+
+tournamentManager.on('tournamentStageStarted', (data) => {
+  io.to(`tournament:${data.tournamentId}`).emit('tournament_stage_started', data);
+});
+
+tournamentManager.on('tournamentFinished', (data) => {
+  io.to(`tournament:${data.tournamentId}`).emit('tournament_finished', data);
+});
+
 // REMOVED: Redis subscription for real-time updates (was causing connection issues)
 // This section has been disabled to prevent Redis connection problems:
 /*
@@ -143,6 +221,15 @@ async function initializeServices() {
     // Initialize Groq
     await groqService.initialize();
     
+    // Resume or settle rounds that were running before a restart
+    await tradingRoundManager.recoverRounds();
+    
+    // Re-arm stored round schedules
+    await roundScheduler.recoverSchedules();
+    
+    // Score tournament rounds that closed while we were down
+    await tournamentManager.recoverTournaments();
+    
     console.log('✅ All services initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize services:', error);
@@ -0,0 +1,85 @@
+// services/benchmarkService.js - Passive buy-and-hold benchmark portfolios for a round
+
+class BenchmarkService {
+  constructor() {
+    // Tokens every snapshot needs for the benchmarks, whatever the round trades
+    this.referenceTokens = ['ETH'];
+  }
+
+  /**
+   * Build the benchmark portfolios at round start, spending the starting balance at snapshot prices
+   * @param {Object} round - Round (startingBalance, settings.allowedTokens)
+   * @param {Object} snapshot - Price snapshot the round starts on
+   * @returns {Object} { startTick, startedAt, startingBalance, portfolios: { equalWeight, ethOnly } }
+   */
+  build(round, snapshot) {
+    return {
+      startTick: snapshot.tick,
+      startedAt: snapshot.takenAt,
+      startingBalance: round.startingBalance,
+      portfolios: {
+        equalWeight: this.buildPortfolio(round.settings.allowedTokens, snapshot, round.startingBalance),
+        ethOnly: this.buildPortfolio(['ETH'], snapshot, round.startingBalance)
+      }
+    };
+  }
+
+  // Split the balance evenly across the tokens that have a price; null when none do
+  buildPortfolio(tokens, snapshot, balance) {
+    const priced = tokens.filter(token => snapshot.prices[token]?.price > 0);
+    if (priced.length === 0) return null;
+
+    const holdings = {};
+    for (const token of priced) {
+      const entryPrice = snapshot.prices[token].price;
+      holdings[token] = { quantity: (balance / priced.length) / entryPrice, entryPrice };
+    }
+
+    return { tokens: priced, holdings };
+  }
+
+  /**
+   * Mark every benchmark portfolio to market
+   * Tokens missing from the snapshot keep their last marked price
+   * @param {Object} benchmarks - Output of build()
+   * @param {Object} snapshot - Price snapshot for this tick
+   * @param {Object|null} lastMark - Previous mark, for price fallback
+   * @returns {Object} { tick, at, prices, equalWeight: { value, returnPercent }, ethOnly: { value, returnPercent } }
+   */
+  mark(benchmarks, snapshot, lastMark = null) {
+    const mark = { tick: snapshot.tick, at: snapshot.takenAt, prices: {} };
+
+    for (const [name, portfolio] of Object.entries(benchmarks.portfolios)) {
+      if (!portfolio) {
+        mark[name] = null;
+        continue;
+      }
+
+      let value = 0;
+      for (const [token, holding] of Object.entries(portfolio.holdings)) {
+        const price = snapshot.prices[token]?.price || lastMark?.prices?.[token] || holding.entryPrice;
+        mark.prices[token] = price;
+        value += holding.quantity * price;
+      }
+
+      mark[name] = {
+        value,
+        returnPercent: (value / benchmarks.startingBalance - 1) * 100
+      };
+    }
+
+    return mark;
+  }
+
+  // Participant return minus each benchmark's return, in percentage points
+  calculateAlpha(pnlPercentage, mark) {
+    if (!mark) return null;
+
+    return {
+      equalWeight: mark.equalWeight ? pnlPercentage - mark.equalWeight.returnPercent : null,
+      ethOnly: mark.ethOnly ? pnlPercentage - mark.ethOnly.returnPercent : null
+    };
+  }
+}
+
+module.exports = new BenchmarkService();
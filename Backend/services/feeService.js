@@ -0,0 +1,74 @@
+// services/feeService.js - Swap fees, Base gas costs and rebates charged on every simulated fill
+
+class FeeService {
+  constructor() {
+    // Pool fee tiers as offered by Base DEXes (Uniswap v3 / Aerodrome style)
+    this.feeTiers = {
+      stable: 0.0001,   // 0.01% - stablecoin pairs
+      low: 0.0005,      // 0.05% - blue-chip pairs
+      standard: 0.003,  // 0.30% - most pairs
+      exotic: 0.01      // 1.00% - long-tail tokens
+    };
+
+    this.defaults = {
+      tradingFee: 0.001, // used when no tier is chosen
+      gasCostUsd: 0.02,  // typical Base swap, charged per fill regardless of size
+      feeRebate: 0       // share of the swap fee paid back (0-1)
+    };
+  }
+
+  /**
+   * Merge round-level fee settings over defaults
+   * A feeTier sets tradingFee from the tier table; an explicit tradingFee is used as-is
+   * @param {Object} settings - { feeTier, tradingFee, gasCostUsd, feeRebate }
+   * @returns {Object} { feeTier, tradingFee, gasCostUsd, feeRebate }
+   */
+  getSettings(settings = {}) {
+    const feeTier = settings.feeTier || null;
+    if (feeTier && this.feeTiers[feeTier] === undefined) {
+      throw new Error(`Unknown fee tier "${feeTier}". Available: ${Object.keys(this.feeTiers).join(', ')}`);
+    }
+
+    const tradingFee = feeTier
+      ? this.feeTiers[feeTier]
+      : settings.tradingFee !== undefined ? parseFloat(settings.tradingFee) : this.defaults.tradingFee;
+
+    const gasCostUsd = settings.gasCostUsd !== undefined ? parseFloat(settings.gasCostUsd) : this.defaults.gasCostUsd;
+    const feeRebate = settings.feeRebate !== undefined ? parseFloat(settings.feeRebate) : this.defaults.feeRebate;
+
+    // A NaN fee would turn every fill, and with it cash and PnL, into NaN for the whole round
+    for (const [name, value] of Object.entries({ tradingFee, gasCostUsd, feeRebate })) {
+      if (!Number.isFinite(value)) {
+        throw new Error(`${name} must be a number`);
+      }
+    }
+
+    return {
+      feeTier,
+      tradingFee: Math.max(0, tradingFee),
+      gasCostUsd: Math.max(0, gasCostUsd),
+      feeRebate: Math.min(Math.max(feeRebate, 0), 1)
+    };
+  }
+
+  /**
+   * Fees for one fill
+   * @param {number} notional - Filled value in USD at the execution price
+   * @param {Object} settings - Fee settings (see getSettings)
+   * @returns {Object} { swapFee, gasFee, rebate, total }
+   */
+  calculate(notional, settings) {
+    const swapFee = notional * settings.tradingFee;
+    const rebate = swapFee * settings.feeRebate;
+    const gasFee = settings.gasCostUsd;
+
+    return {
+      swapFee,
+      gasFee,
+      rebate,
+      total: swapFee - rebate + gasFee
+    };
+  }
+}
+
+module.exports = new FeeService();
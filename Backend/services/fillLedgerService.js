@@ -0,0 +1,92 @@
+// services/fillLedgerService.js - Append-only ledger of every fill in a round
+
+const redisService = require('./redisService');
+
+class FillLedgerService {
+  /**
+   * Record a fill with the signal that caused it
+   * Stored twice: per participant and round-wide, both keyed by trade ID
+   * @param {string} roundId - Round ID
+   * @param {string} walletAddress - Participant wallet
+   * @param {Object} fill - { token, action, side, quantity, executionPrice, quotedPrice, fee, fees, realizedPnl, slippage, partial }
+   * @param {Object} trigger - { signal, confidence, reason, source, trigger, snapshotTick }
+   * @returns {Object} The ledger entry, including its tradeId
+   */
+  async record(roundId, walletAddress, fill, trigger = {}) {
+    const sequence = await redisService.incr(`round:${roundId}:fills:sequence`);
+    const tradeId = `${roundId}-${String(sequence).padStart(6, '0')}`;
+
+    const entry = {
+      tradeId,
+      sequence,
+      roundId,
+      walletAddress,
+      token: fill.token,
+      action: fill.action, // open | close
+      side: fill.side, // buy | sell
+      quantity: fill.quantity,
+      price: fill.executionPrice,
+      quotedPrice: fill.quotedPrice,
+      notional: fill.quantity * fill.executionPrice,
+      fee: fill.fee,
+      fees: fill.fees || null, // { swapFee, gasFee, rebate, total }
+      realizedPnl: fill.realizedPnl,
+      slippage: fill.slippage,
+      partial: Boolean(fill.partial),
+      signal: {
+        signal: trigger.signal || null,
+        confidence: trigger.confidence ?? null,
+        reason: trigger.reason || null,
+        source: trigger.source || null,
+        trigger: trigger.trigger || null, // stop_loss, take_profit, liquidation, flatten
+        snapshotTick: trigger.snapshotTick || null
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    const entryJson = JSON.stringify(entry);
+    await redisService.hSet(`round:${roundId}:fills:${walletAddress}`, tradeId, entryJson);
+    await redisService.hSet(`round:${roundId}:fills`, tradeId, entryJson);
+
+    return entry;
+  }
+
+  // One participant's fills, oldest first
+  async getParticipantFills(roundId, walletAddress, options = {}) {
+    return this.readFills(`round:${roundId}:fills:${walletAddress}`, options);
+  }
+
+  // Every fill in the round, oldest first
+  async getRoundFills(roundId, options = {}) {
+    return this.readFills(`round:${roundId}:fills`, options);
+  }
+
+  async readFills(key, { token = null, fromSequence = 1, limit = 200 } = {}) {
+    const fills = await redisService.hGetAll(key);
+
+    return Object.values(fills)
+      .map(data => JSON.parse(data))
+      .filter(fill => fill.sequence >= fromSequence && (!token || fill.token === token))
+      .sort((a, b) => a.sequence - b.sequence)
+      .slice(0, limit);
+  }
+
+  // Totals for a list of fills
+  summarize(fills) {
+    return fills.reduce((summary, fill) => {
+      summary.fills++;
+      summary.volume += fill.notional;
+      summary.fees += fill.fee;
+      summary.gasFees += fill.fees?.gasFee || 0;
+      summary.rebates += fill.fees?.rebate || 0;
+      summary.realizedPnl += fill.realizedPnl;
+      if (fill.action === 'close') {
+        summary.closes++;
+        if (fill.realizedPnl > 0) summary.winningCloses++;
+      }
+      return summary;
+    }, { fills: 0, closes: 0, winningCloses: 0, volume: 0, fees: 0, gasFees: 0, rebates: 0, realizedPnl: 0 });
+  }
+}
+
+module.exports = new FillLedgerService();
@@ -208,10 +208,12 @@ Return ONLY this exact JSON format with actual numbers:
   "entry_price": ${marketData.price || 1},
   "stop_loss": ${(marketData.price || 1) * 0.95},
   "take_profit": ${(marketData.price || 1) * 1.10},
-  "risk_reward_ratio": 2.0
+  "risk_reward_ratio": 2.0,
+  "sell_fraction": 1.0,
+  "leverage": 1
 }
 
-Replace values based on analysis. Use BUY, SELL, or HOLD. No markdown, no extra text.
+Replace values based on analysis. Use BUY, SELL, or HOLD. SELL closes a long position or opens a short when there is none; BUY covers a short. For SELL, set sell_fraction between 0 and 1 for the share of a long position to close. Set leverage above 1 only for high-conviction trades. No markdown, no extra text.
 `;
 
     return await this.makeGroqRequest(async () => {
@@ -236,11 +238,20 @@ Replace values based on analysis. Use BUY, SELL, or HOLD. No markdown, no extra
 
       const price = marketData.price || 1;
 
-      parsed.stop_loss = typeof parsed.stop_loss === 'string' ? price * 0.95 : parsed.stop_loss || price * 0.95;
-      parsed.take_profit = typeof parsed.take_profit === 'string' ? price * 1.10 : parsed.take_profit || price * 1.10;
+      // Default protective levels sit on the side that matches the trade direction
+      const isSell = parsed.signal?.toUpperCase() === 'SELL';
+      const defaultStop = price * (isSell ? 1.05 : 0.95);
+      const defaultTarget = price * (isSell ? 0.90 : 1.10);
+
+      parsed.stop_loss = typeof parsed.stop_loss === 'string' ? defaultStop : parsed.stop_loss || defaultStop;
+      parsed.take_profit = typeof parsed.take_profit === 'string' ? defaultTarget : parsed.take_profit || defaultTarget;
       parsed.risk_reward_ratio = typeof parsed.risk_reward_ratio === 'string' ? 2.0 : parsed.risk_reward_ratio || 2.0;
       parsed.entry_price = parsed.entry_price || price;
 
+      const sellFraction = parseFloat(parsed.sell_fraction);
+      parsed.sell_fraction = sellFraction > 0 && sellFraction <= 1 ? sellFraction : 1;
+      parsed.leverage = parseFloat(parsed.leverage) >= 1 ? parseFloat(parsed.leverage) : 1;
+
       return parsed;
     });
   }
@@ -0,0 +1,88 @@
+// services/marginService.js - Margin, financing and liquidation math for leveraged/short positions
+
+class MarginService {
+  constructor() {
+    this.defaults = {
+      maxLeverage: 1,              // 1 = no leverage
+      allowShorts: true,
+      maintenanceMargin: 0.05,     // equity must cover 5% of open margin notional
+      fundingRatePerHour: 0.0001,  // charged on the borrowed part of leveraged longs
+      borrowRatePerHour: 0.0002    // charged on the notional of borrowed tokens (shorts)
+    };
+  }
+
+  // Merge round-level margin settings over defaults
+  getSettings(settings = {}) {
+    const merged = { ...this.defaults };
+
+    for (const key of Object.keys(this.defaults)) {
+      if (settings[key] !== undefined) merged[key] = settings[key];
+    }
+
+    merged.maxLeverage = Math.max(1, parseFloat(merged.maxLeverage) || 1);
+    return merged;
+  }
+
+  // Clamp a requested leverage to the round limit
+  resolveLeverage(requested, maxLeverage) {
+    const leverage = parseFloat(requested);
+    if (!Number.isFinite(leverage) || leverage < 1) return 1;
+    return Math.min(leverage, maxLeverage);
+  }
+
+  // +1 for longs, -1 for shorts (positions created before shorting existed are long)
+  direction(position) {
+    return position.side === 'short' ? -1 : 1;
+  }
+
+  // Cash posted against a position (unlevered longs post their full cost)
+  getMargin(position) {
+    return position.margin !== undefined ? position.margin : position.totalInvested;
+  }
+
+  // Whether a position carries borrowed funds or tokens
+  isMarginPosition(position) {
+    return position.side === 'short' || this.getMargin(position) < position.totalInvested;
+  }
+
+  // Unrealised P&L at a price
+  getUnrealizedPnl(position, price) {
+    return this.direction(position) * (position.amount * price - position.totalInvested);
+  }
+
+  // What the position is worth to the account: posted margin plus unrealised P&L
+  getPositionEquity(position, price) {
+    return this.getMargin(position) + this.getUnrealizedPnl(position, price);
+  }
+
+  /**
+   * Financing owed since the position was last charged
+   * @param {Object} position - Position (uses side, amount, totalInvested, margin, lastFinancedAt)
+   * @param {number} price - Current price
+   * @param {Object} settings - Margin settings (see getSettings)
+   * @param {number} now - Current time in ms
+   * @returns {number} Fee in USD
+   */
+  calculateFinancingFee(position, price, settings, now = Date.now()) {
+    if (!this.isMarginPosition(position) || !position.lastFinancedAt) return 0;
+
+    const hours = Math.max(0, now - new Date(position.lastFinancedAt).getTime()) / 3600000;
+
+    if (position.side === 'short') {
+      return position.amount * price * settings.borrowRatePerHour * hours;
+    }
+
+    const borrowed = position.totalInvested - this.getMargin(position);
+    return borrowed * settings.fundingRatePerHour * hours;
+  }
+
+  // Equity the account must hold to keep its margin positions open
+  getMaintenanceRequirement(positions, prices, settings) {
+    return Object.entries(positions).reduce((sum, [token, position]) => {
+      if (!this.isMarginPosition(position) || !prices[token]) return sum;
+      return sum + position.amount * prices[token] * settings.maintenanceMargin;
+    }, 0);
+  }
+}
+
+module.exports = new MarginService();
@@ -0,0 +1,150 @@
+// services/positionSizingService.js - Position sizing models for simulated trades
+
+class PositionSizingService {
+  constructor() {
+    this.models = ['confidence', 'fixed_fractional', 'volatility_target', 'kelly'];
+    this.defaults = {
+      model: 'confidence',
+      fixedFraction: 0.1,       // 10% of cash per trade
+      targetVolatility: 0.02,   // 2% expected move per tick on the position
+      kellyFraction: 0.5,       // half Kelly
+      minPositionSize: 0.05,    // sizing-model trades under 5% of cash are skipped (not applied to 'confidence')
+      minHistory: 5             // price points needed for volatility targeting
+    };
+  }
+
+  // Merge round-level sizing settings over defaults
+  getSettings(overrides = {}) {
+    const settings = { ...this.defaults, ...overrides };
+
+    if (!this.models.includes(settings.model)) {
+      settings.model = this.defaults.model;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Pick a sizing model from a parsed strategy's risk_management text
+   * @param {string} riskManagement - Free-form risk rules from the strategy parser
+   * @returns {Object|null} { model, ...params } or null when nothing matched
+   */
+  resolveFromRiskText(riskManagement) {
+    if (!riskManagement || typeof riskManagement !== 'string') return null;
+
+    const text = riskManagement.toLowerCase();
+
+    if (text.includes('kelly')) {
+      const half = text.includes('half') ? 0.5 : text.includes('quarter') ? 0.25 : null;
+      return half ? { model: 'kelly', kellyFraction: half } : { model: 'kelly' };
+    }
+
+    if (/volatility|\bvol\b|\batr\b/.test(text)) {
+      const target = text.match(/(\d+(?:\.\d+)?)\s*%\s*(?:target\s*)?vol/);
+      return target
+        ? { model: 'volatility_target', targetVolatility: parseFloat(target[1]) / 100 }
+        : { model: 'volatility_target' };
+    }
+
+    const fraction = text.match(/(\d+(?:\.\d+)?)\s*%\s*(?:of\s+(?:the\s+|my\s+)?(?:portfolio|capital|balance|equity|cash)|per\s+trade)/);
+    if (fraction) {
+      return { model: 'fixed_fractional', fixedFraction: parseFloat(fraction[1]) / 100 };
+    }
+
+    if (/fixed[- ]fraction/.test(text)) {
+      return { model: 'fixed_fractional' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculate the cash value to deploy on a BUY
+   * @param {Object} params
+   * @param {string} params.model - Sizing model name
+   * @param {Object} params.settings - Sizing settings (see getSettings)
+   * @param {number} params.cash - Available cash
+   * @param {number} params.maxPositionSize - Round cap as a fraction of cash
+   * @param {number} params.confidence - Signal confidence (1-10)
+   * @param {number} params.price - Fill price
+   * @param {Object} params.signal - AI signal (stop_loss, take_profit, risk_reward_ratio)
+   * @param {Array<number>} params.priceSeries - Recent prices for the token, oldest first
+   * @returns {number} Position value in USD (0 = do not trade)
+   */
+  calculatePositionValue({ model, settings, cash, maxPositionSize, confidence, price, signal = {}, priceSeries = [] }) {
+    const maxPositionValue = cash * maxPositionSize;
+    let fraction;
+
+    switch (model) {
+      case 'fixed_fractional':
+        fraction = settings.fixedFraction;
+        break;
+
+      case 'volatility_target': {
+        const volatility = this.calculateVolatility(priceSeries);
+        fraction = volatility && priceSeries.length >= settings.minHistory
+          ? settings.targetVolatility / volatility
+          : settings.fixedFraction; // Not enough history yet
+        break;
+      }
+
+      case 'kelly':
+        fraction = this.calculateKellyFraction(confidence, price, signal) * settings.kellyFraction;
+        break;
+
+      default:
+        // Original behaviour: scale the round cap by confidence
+        fraction = maxPositionSize * Math.min(confidence / 10, 1);
+    }
+
+    if (!Number.isFinite(fraction) || fraction <= 0) return 0;
+
+    const positionValue = Math.min(cash * fraction, maxPositionValue);
+
+    // The default confidence model keeps its original behaviour: any positive size trades
+    const usesSizingModel = ['fixed_fractional', 'volatility_target', 'kelly'].includes(model);
+    if (usesSizingModel && positionValue < cash * settings.minPositionSize) {
+      console.log(`📏 ${model} size $${positionValue.toFixed(2)} is under the ${(settings.minPositionSize * 100).toFixed(0)}% minimum, skipping trade`);
+      return 0;
+    }
+
+    return positionValue;
+  }
+
+  // Standard deviation of simple per-tick returns
+  calculateVolatility(priceSeries) {
+    if (!priceSeries || priceSeries.length < 2) return 0;
+
+    const returns = [];
+    for (let i = 1; i < priceSeries.length; i++) {
+      if (priceSeries[i - 1] > 0) {
+        returns.push(priceSeries[i] / priceSeries[i - 1] - 1);
+      }
+    }
+
+    if (returns.length === 0) return 0;
+
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length;
+    return Math.sqrt(variance);
+  }
+
+  // Full Kelly fraction: p - (1 - p) / b, with p from confidence and b from the signal's payoff
+  calculateKellyFraction(confidence, price, signal = {}) {
+    const winProbability = Math.min(Math.max(confidence / 10, 0), 1);
+
+    let payoff = parseFloat(signal.risk_reward_ratio);
+    const stopLoss = parseFloat(signal.stop_loss);
+    const takeProfit = parseFloat(signal.take_profit);
+
+    if (stopLoss > 0 && stopLoss < price && takeProfit > price) {
+      payoff = (takeProfit - price) / (price - stopLoss);
+    }
+
+    if (!(payoff > 0)) return 0;
+
+    return winProbability - (1 - winProbability) / payoff;
+  }
+}
+
+module.exports = new PositionSizingService();
@@ -0,0 +1,103 @@
+// services/prizePoolService.js - Entry fees, house rake and payout curves for paid rounds
+
+class PrizePoolService {
+  constructor() {
+    this.defaults = {
+      entryFee: 0,        // 0 = free round, no prize pool
+      rakePercent: 0.05,  // house share of collected entry fees
+      payoutCurve: 'winner_takes_all'
+    };
+
+    // Fixed splits by finishing position; proportional is computed from PnL
+    this.curves = {
+      winner_takes_all: [1],
+      top_3: [0.5, 0.3, 0.2]
+    };
+  }
+
+  // Round-level prize pool settings
+  getSettings(config = {}) {
+    const payoutCurve = config.payoutCurve || this.defaults.payoutCurve;
+    if (!this.curves[payoutCurve] && payoutCurve !== 'proportional') {
+      throw new Error(`Unknown payout curve "${payoutCurve}". Available: ${[...Object.keys(this.curves), 'proportional'].join(', ')}`);
+    }
+
+    const entryFee = config.entryFee !== undefined ? parseFloat(config.entryFee) : this.defaults.entryFee;
+    const rakePercent = config.rakePercent !== undefined ? parseFloat(config.rakePercent) : this.defaults.rakePercent;
+
+    if (!(entryFee >= 0)) {
+      throw new Error('Entry fee must be zero or more');
+    }
+    if (!(rakePercent >= 0 && rakePercent < 1)) {
+      throw new Error('Rake must be between 0 and 1');
+    }
+
+    return {
+      entryFee,
+      rakePercent,
+      payoutCurve,
+      entries: 0,
+      collected: 0
+    };
+  }
+
+  /**
+   * Split a prize pool over the final standings
+   * top_3 with fewer than three players shares the pool over the places that exist.
+   * proportional splits by PnL among players who finished in profit (top rank takes it all if nobody did).
+   * Team rounds pass one entry per team with its members; a team's share is split evenly between them.
+   * @param {Array<Object>} standings - Ranked entries { rank, walletAddress, pnl } or { rank, team, pnl, members }
+   * @param {number} prizePool - Amount to distribute after rake
+   * @param {string} payoutCurve - winner_takes_all | top_3 | proportional
+   * @returns {Array<Object>} Payouts { walletAddress, rank, team, share, amount }
+   */
+  calculatePayouts(standings, prizePool, payoutCurve) {
+    if (!(prizePool > 0) || standings.length === 0) return [];
+
+    const shares = this.getShares(standings, payoutCurve);
+    const payouts = [];
+
+    standings.forEach((entry, index) => {
+      const share = shares[index] || 0;
+      if (share <= 0) return;
+
+      const wallets = entry.members ? entry.members.map(member => member.walletAddress) : [entry.walletAddress];
+      for (const walletAddress of wallets) {
+        payouts.push({
+          walletAddress,
+          rank: entry.rank,
+          team: entry.team || null,
+          share: share / wallets.length,
+          amount: this.floorCents((prizePool * share) / wallets.length)
+        });
+      }
+    });
+
+    // Rounding dust goes to the first payout
+    const dust = this.floorCents(prizePool - payouts.reduce((sum, payout) => sum + payout.amount, 0));
+    if (payouts.length > 0 && dust > 0) {
+      payouts[0].amount = Math.round((payouts[0].amount + dust) * 100) / 100;
+    }
+
+    return payouts;
+  }
+
+  // Fraction of the pool for each position in the standings
+  getShares(standings, payoutCurve) {
+    if (payoutCurve === 'proportional') {
+      const profits = standings.map(entry => Math.max(entry.pnl || 0, 0));
+      const total = profits.reduce((sum, profit) => sum + profit, 0);
+      return total > 0 ? profits.map(profit => profit / total) : [1];
+    }
+
+    const weights = this.curves[payoutCurve].slice(0, standings.length);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+  }
+
+  floorCents(amount) {
+    return Math.floor(Math.round(amount * 1e6) / 1e4) / 100;
+  }
+}
+
+module.exports = new PrizePoolService();
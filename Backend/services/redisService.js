@@ -10,6 +10,7 @@ class RedisService {
     this.hashStorage = new Map(); // For Redis hashes
     this.sortedSetStorage = new Map(); // For Redis sorted sets
     this.counterStorage = new Map(); // For Redis counters
+    this.expiries = new Map(); // key -> expiry timestamp (checked on read; long TTLs overflow setTimeout)
     
     console.log('⚠️ Redis disabled - using in-memory storage for hackathon demo');
   }
@@ -27,37 +28,42 @@ class RedisService {
     this.hashStorage.clear();
     this.sortedSetStorage.clear();
     this.counterStorage.clear();
+    this.expiries.clear();
     this.isConnected = false;
   }
 
   // Basic operations using memory
   async get(key) {
+    this.purgeIfExpired(key);
     const value = this.memoryStorage.get(key);
     console.log(`📦 GET ${key}:`, value ? 'found' : 'not found');
     return value || null;
   }
 
   async set(key, value, options = {}) {
+    this.purgeIfExpired(key);
     this.memoryStorage.set(key, value);
     console.log(`📦 SET ${key}: stored`);
     
+    // A plain SET keeps the key's existing TTL (like Redis KEEPTTL): rounds get their TTL once at
+    // creation and are re-saved without one on every join and update
     if (options.ttl) {
-      setTimeout(() => {
-        this.memoryStorage.delete(key);
-        console.log(`📦 TTL expired for ${key}`);
-      }, options.ttl * 1000);
+      this.expiries.set(key, Date.now() + options.ttl * 1000);
     }
     return true;
   }
 
   async del(key) {
+    this.purgeIfExpired(key);
     const existed = this.memoryStorage.has(key);
     this.memoryStorage.delete(key);
+    this.expiries.delete(key);
     console.log(`📦 DEL ${key}:`, existed ? 'deleted' : 'not found');
     return existed ? 1 : 0;
   }
 
   async exists(key) {
+    this.purgeIfExpired(key);
     const exists = this.memoryStorage.has(key);
     console.log(`📦 EXISTS ${key}:`, exists);
     return exists;
@@ -187,20 +193,25 @@ class RedisService {
   }
 
   async expire(key, seconds) {
+    this.purgeIfExpired(key);
     if (this.memoryStorage.has(key)) {
-      setTimeout(() => {
-        this.memoryStorage.delete(key);
-        console.log(`📦 TTL expired for ${key}`);
-      }, seconds * 1000);
+      this.expiries.set(key, Date.now() + seconds * 1000);
       console.log(`📦 EXPIRE ${key}: ${seconds}s`);
       return true;
     }
     return false;
   }
 
+  async persist(key) {
+    this.purgeIfExpired(key);
+    const hadTtl = this.memoryStorage.has(key) && this.expiries.delete(key);
+    console.log(`📦 PERSIST ${key}:`, hadTtl ? 'TTL removed' : 'no TTL');
+    return hadTtl;
+  }
+
   async keys(pattern) {
     // Simple pattern matching for memory storage
-    const allKeys = Array.from(this.memoryStorage.keys());
+    const allKeys = Array.from(this.memoryStorage.keys()).filter(key => !this.purgeIfExpired(key));
     let matchedKeys = allKeys;
     
     if (pattern !== '*') {
@@ -212,6 +223,16 @@ class RedisService {
     return matchedKeys;
   }
 
+  // SCAN in one pass: memory storage has nothing to page through, so the cursor always comes back '0'
+  async scan(cursor = '0', pattern = '*', count = 100) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    const keys = Array.from(this.memoryStorage.keys())
+      .filter(key => !this.purgeIfExpired(key) && regex.test(key));
+
+    console.log(`📦 SCAN ${pattern}: ${keys.length} matches`);
+    return { cursor: '0', keys };
+  }
+
   async ping() {
     console.log('📦 PING: memory storage active');
     return 'PONG';
@@ -234,7 +255,21 @@ class RedisService {
 
   // Utility methods
   async ttl(key) {
-    return this.memoryStorage.has(key) ? -1 : -2;
+    this.purgeIfExpired(key);
+    if (!this.memoryStorage.has(key)) return -2;
+    const expiresAt = this.expiries.get(key);
+    return expiresAt ? Math.ceil((expiresAt - Date.now()) / 1000) : -1;
+  }
+
+  // Drop a key whose TTL has passed; returns true if it was dropped
+  purgeIfExpired(key) {
+    const expiresAt = this.expiries.get(key);
+    if (!expiresAt || Date.now() < expiresAt) return false;
+
+    this.memoryStorage.delete(key);
+    this.expiries.delete(key);
+    console.log(`📦 TTL expired for ${key}`);
+    return true;
   }
 
   async multi() {
@@ -0,0 +1,82 @@
+// services/riskMetricsService.js - Drawdown and risk-adjusted return stats from an equity series
+
+class RiskMetricsService {
+  /**
+   * Risk stats for one participant's equity curve
+   * Returns are per tick; Sharpe and Sortino are scaled by sqrt(ticks) so they compare across round lengths
+   * @param {Array<number>} equitySeries - Equity after every tick, oldest first (starting balance first)
+   * @returns {Object} { maxDrawdown, currentDrawdown, volatility, sharpe, sortino, calmar, totalReturn, positiveReturnRate, periods }
+   */
+  calculate(equitySeries = []) {
+    const series = equitySeries.filter(value => Number.isFinite(value));
+    const returns = this.calculateReturns(series);
+    const { maxDrawdown, currentDrawdown } = this.calculateDrawdown(series);
+
+    const totalReturn = series.length > 1 && series[0] > 0
+      ? (series[series.length - 1] / series[0] - 1) * 100
+      : 0;
+
+    const metrics = {
+      maxDrawdown,
+      currentDrawdown,
+      volatility: null,
+      sharpe: null,
+      sortino: null,
+      calmar: maxDrawdown > 0 ? totalReturn / maxDrawdown : null,
+      totalReturn,
+      positiveReturnRate: returns.length > 0 ? returns.filter(r => r > 0).length / returns.length : 0,
+      periods: returns.length
+    };
+
+    if (returns.length < 2) return metrics;
+
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1));
+    const downsideDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length);
+    const scale = Math.sqrt(returns.length);
+
+    metrics.volatility = stdDev * 100; // % per tick
+    metrics.sharpe = stdDev > 0 ? (mean / stdDev) * scale : null;
+    metrics.sortino = downsideDev > 0 ? (mean / downsideDev) * scale : null;
+
+    return metrics;
+  }
+
+  // Simple per-tick returns
+  calculateReturns(series) {
+    const returns = [];
+    for (let i = 1; i < series.length; i++) {
+      if (series[i - 1] > 0) {
+        returns.push(series[i] / series[i - 1] - 1);
+      }
+    }
+    return returns;
+  }
+
+  // Largest and current peak-to-trough fall, in %
+  calculateDrawdown(series) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    let currentDrawdown = 0;
+
+    for (const value of series) {
+      peak = Math.max(peak, value);
+      currentDrawdown = peak > 0 ? ((peak - value) / peak) * 100 : 0;
+      maxDrawdown = Math.max(maxDrawdown, currentDrawdown);
+    }
+
+    return { maxDrawdown, currentDrawdown };
+  }
+
+  // Drawdown at every point of the series, for charts
+  getDrawdownCurve(series) {
+    let peak = -Infinity;
+
+    return series.map(value => {
+      peak = Math.max(peak, value);
+      return peak > 0 ? ((peak - value) / peak) * 100 : 0;
+    });
+  }
+}
+
+module.exports = new RiskMetricsService();
@@ -0,0 +1,380 @@
+// services/roundScheduler.js - Cron-style schedules that create trading rounds automatically
+const EventEmitter = require('events');
+const redisService = require('./redisService');
+const tradingRoundManager = require('./tradingRoundManager');
+
+class RoundScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.timers = new Map(); // scheduleId -> timeoutId
+    this.maxTimerDelay = 2147483647; // setTimeout limit (~24.8 days)
+
+    // minute hour day-of-month month day-of-week, evaluated in UTC
+    this.fields = [
+      { name: 'minute', min: 0, max: 59 },
+      { name: 'hour', min: 0, max: 23 },
+      { name: 'dayOfMonth', min: 1, max: 31 },
+      { name: 'month', min: 1, max: 12 },
+      { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+    ];
+
+    this.aliases = {
+      '@hourly': '0 * * * *',
+      '@daily': '0 0 * * *',
+      '@midnight': '0 0 * * *',
+      '@weekly': '0 0 * * 0',
+      '@monthly': '0 0 1 * *'
+    };
+  }
+
+  // Create and arm a new schedule
+  async createSchedule(config = {}) {
+    const { name, cron, roundConfig = {}, enabled = true, allowOverlap = false, createdBy } = config;
+
+    if (!name || !cron) {
+      throw new Error('Schedule name and cron expression are required');
+    }
+
+    this.parseCron(cron); // throws on an invalid expression
+
+    const scheduleId = `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date();
+
+    const schedule = {
+      id: scheduleId,
+      name,
+      cron: cron.trim(),
+      roundConfig,
+      enabled: Boolean(enabled),
+      allowOverlap: Boolean(allowOverlap), // false = skip a run while the previous round is still open
+      createdBy: createdBy || 'api',
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      nextRunAt: enabled ? this.getNextRun(cron, now).toISOString() : null,
+      lastRunAt: null,
+      lastRoundId: null,
+      runCount: 0,
+      lastError: null
+    };
+
+    await this.saveSchedule(schedule);
+    await redisService.sAdd('schedules', scheduleId);
+
+    if (schedule.enabled) this.armSchedule(schedule);
+
+    console.log(`🗓️ Created schedule ${scheduleId}: ${name} (${schedule.cron})`);
+
+    this.emit('scheduleCreated', { scheduleId, schedule });
+
+    return schedule;
+  }
+
+  // Update name, cron, round config or enabled flag and re-arm
+  async updateSchedule(scheduleId, updates = {}) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    if (updates.cron !== undefined) {
+      this.parseCron(updates.cron);
+      schedule.cron = updates.cron.trim();
+    }
+
+    for (const key of ['name', 'roundConfig']) {
+      if (updates[key] !== undefined) schedule[key] = updates[key];
+    }
+
+    for (const key of ['enabled', 'allowOverlap']) {
+      if (updates[key] !== undefined) schedule[key] = Boolean(updates[key]);
+    }
+
+    schedule.updatedAt = new Date().toISOString();
+    schedule.nextRunAt = schedule.enabled ? this.getNextRun(schedule.cron, new Date()).toISOString() : null;
+
+    await this.saveSchedule(schedule);
+
+    this.clearSchedule(scheduleId);
+    if (schedule.enabled) this.armSchedule(schedule);
+
+    this.emit('scheduleUpdated', { scheduleId, schedule });
+
+    return schedule;
+  }
+
+  // Remove a schedule (rounds it already created are left alone)
+  async deleteSchedule(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    this.clearSchedule(scheduleId);
+    await redisService.del(`schedule:${scheduleId}`);
+    await redisService.sRem('schedules', scheduleId);
+
+    console.log(`🗑️ Deleted schedule ${scheduleId}: ${schedule.name}`);
+
+    this.emit('scheduleDeleted', { scheduleId });
+
+    return schedule;
+  }
+
+  async getSchedule(scheduleId) {
+    const data = await redisService.get(`schedule:${scheduleId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async listSchedules() {
+    const scheduleIds = await redisService.sMembers('schedules');
+    const schedules = [];
+
+    for (const scheduleId of scheduleIds) {
+      const schedule = await this.getSchedule(scheduleId);
+      if (schedule) schedules.push(schedule);
+    }
+
+    return schedules.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async saveSchedule(schedule) {
+    await redisService.set(`schedule:${schedule.id}`, JSON.stringify(schedule));
+  }
+
+  // Re-arm stored schedules after a restart; a run missed while down fires once immediately
+  async recoverSchedules() {
+    const schedules = await this.listSchedules();
+    let armed = 0;
+    let missed = 0;
+
+    for (const schedule of schedules) {
+      if (!schedule.enabled) continue;
+
+      try {
+        if (!schedule.nextRunAt) {
+          schedule.nextRunAt = this.getNextRun(schedule.cron, new Date()).toISOString();
+          await this.saveSchedule(schedule);
+        } else if (new Date(schedule.nextRunAt) <= new Date()) {
+          missed += 1;
+        }
+
+        this.armSchedule(schedule);
+        armed += 1;
+      } catch (error) {
+        console.error(`Schedule recovery error for ${schedule.id}:`, error.message);
+      }
+    }
+
+    console.log(`♻️ Schedule recovery: ${armed} armed, ${missed} missed runs firing now`);
+
+    return { armed, missed };
+  }
+
+  // Set a timer for the schedule's next run
+  armSchedule(schedule) {
+    this.clearSchedule(schedule.id);
+
+    const delayMs = Math.max(0, new Date(schedule.nextRunAt) - Date.now());
+
+    // Long waits are split so the timer never overflows
+    const timeoutId = delayMs > this.maxTimerDelay
+      ? setTimeout(() => this.armSchedule(schedule), this.maxTimerDelay)
+      : setTimeout(() => {
+        this.timers.delete(schedule.id);
+        this.runSchedule(schedule.id).catch(error => console.error(`Schedule run error for ${schedule.id}:`, error.message));
+      }, delayMs);
+
+    this.timers.set(schedule.id, timeoutId);
+  }
+
+  clearSchedule(scheduleId) {
+    const timeoutId = this.timers.get(scheduleId);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      this.timers.delete(scheduleId);
+    }
+  }
+
+  // Create the scheduled round, then arm the following run
+  async runSchedule(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule || !schedule.enabled) return null;
+
+    const runAt = new Date();
+    let round = null;
+
+    try {
+      if (!schedule.allowOverlap && await this.isRoundOpen(schedule.lastRoundId)) {
+        console.log(`⏭️ Schedule ${scheduleId} skipped: round ${schedule.lastRoundId} is still open`);
+        this.emit('scheduleSkipped', { scheduleId, roundId: schedule.lastRoundId });
+      } else {
+        round = await tradingRoundManager.createRound({
+          ...schedule.roundConfig,
+          title: schedule.roundConfig.title || `${schedule.name} #${schedule.runCount + 1}`,
+          createdBy: `schedule:${scheduleId}`,
+          scheduleId
+        });
+
+        schedule.lastRoundId = round.id;
+        schedule.runCount += 1;
+        schedule.lastError = null;
+
+        console.log(`🗓️ Schedule ${scheduleId} created round ${round.id}`);
+        this.emit('scheduledRoundCreated', { scheduleId, roundId: round.id, round });
+      }
+    } catch (error) {
+      console.error(`Schedule ${scheduleId} failed to create round:`, error.message);
+      schedule.lastError = { message: error.message, at: runAt.toISOString() };
+    }
+
+    // The schedule may have been edited or deleted while the round was being created
+    const latest = await this.getSchedule(scheduleId);
+    if (!latest || !latest.enabled) return round;
+
+    schedule.cron = latest.cron;
+    schedule.name = latest.name;
+    schedule.roundConfig = latest.roundConfig;
+    schedule.allowOverlap = latest.allowOverlap;
+    schedule.lastRunAt = runAt.toISOString();
+    schedule.nextRunAt = this.getNextRun(schedule.cron, runAt).toISOString();
+
+    await this.saveSchedule(schedule);
+    this.armSchedule(schedule);
+
+    return round;
+  }
+
+  // Whether a round is still waiting, counting down or trading
+  async isRoundOpen(roundId) {
+    if (!roundId) return false;
+
+    const round = await tradingRoundManager.getRound(roundId);
+    return Boolean(round) && !['finished', 'cancelled'].includes(round.status);
+  }
+
+  /**
+   * Parse a 5-field cron expression (or @hourly/@daily/@weekly/@monthly)
+   * @param {string} expression - e.g. "0 * * * *" or "30 9-17 * * 1-5"
+   * @returns {Object} Allowed values per field plus whether day fields were restricted
+   */
+  parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+      throw new Error('Cron expression is required');
+    }
+
+    const normalized = this.aliases[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const parsed = {};
+
+    parts.forEach((part, index) => {
+      const field = this.fields[index];
+      parsed[field.name] = this.parseCronField(part, field, expression);
+    });
+
+    // Sunday may be written as 7
+    if (parsed.dayOfWeek.has(7)) {
+      parsed.dayOfWeek.delete(7);
+      parsed.dayOfWeek.add(0);
+    }
+
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+    return parsed;
+  }
+
+  // Expand one cron field ("*", "5", "1-5", "*/10", "0-30/5", "1,15") into a Set
+  parseCronField(part, field, expression) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [rangePart, stepPart] = item.split('/');
+      const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+      let start;
+      let end;
+
+      if (rangePart === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        [start, end] = rangePart.split('-').map(value => parseInt(value, 10));
+      } else {
+        start = parseInt(rangePart, 10);
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      if (![start, end, step].every(Number.isInteger) || step < 1 ||
+          start < field.min || end > field.max || start > end) {
+        throw new Error(`Invalid cron expression "${expression}": bad ${field.name} "${item}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Next time strictly after `from` that matches the expression (UTC)
+   * @param {string} expression - Cron expression
+   * @param {Date} from - Start point
+   * @returns {Date} Next run time
+   */
+  getNextRun(expression, from = new Date()) {
+    const cron = this.parseCron(expression);
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    // Standard cron: when both day fields are restricted, either one may match
+    const dayMatches = (d) => {
+      const domMatch = cron.dayOfMonth.has(d.getUTCDate());
+      const dowMatch = cron.dayOfWeek.has(d.getUTCDay());
+
+      if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+      if (cron.dayOfMonthRestricted) return domMatch;
+      if (cron.dayOfWeekRestricted) return dowMatch;
+      return true;
+    };
+
+    const limit = from.getTime() + 5 * 366 * 24 * 3600000;
+
+    while (date.getTime() <= limit) {
+      if (!cron.month.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!dayMatches(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!cron.hour.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!cron.minute.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return date;
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+  }
+}
+
+module.exports = new RoundScheduler();
@@ -0,0 +1,68 @@
+// services/roundStateMachine.js - Round lifecycle states and allowed transitions
+
+class RoundStateMachine {
+  constructor() {
+    // waiting → countdown → active → settling → finished, with pause and cancel branches
+    this.transitions = {
+      waiting: ['countdown', 'active', 'cancelled'],
+      countdown: ['waiting', 'active', 'cancelled'],
+      active: ['paused', 'settling', 'cancelled'],
+      paused: ['active', 'settling', 'cancelled'],
+      settling: ['finished'],
+      finished: [],
+      cancelled: []
+    };
+  }
+
+  getStates() {
+    return Object.keys(this.transitions);
+  }
+
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  // Throw if a round cannot move to the target state
+  assertTransition(round, to) {
+    if (!this.canTransition(round.status, to)) {
+      throw new Error(`Round is ${round.status}, cannot move to ${to}`);
+    }
+  }
+
+  /**
+   * Move a round to a new state, recording the change in its history
+   * @param {Object} round - Round data (mutated)
+   * @param {string} to - Target state
+   * @param {Object} details - Optional { reason, ...extra } stored with the history entry
+   * @returns {Object} Typed transition event
+   */
+  transition(round, to, details = {}) {
+    const from = round.status;
+    this.assertTransition(round, to);
+
+    const entry = {
+      from,
+      to,
+      at: new Date().toISOString(),
+      ...details
+    };
+
+    round.status = to;
+    round.history = round.history || [];
+    round.history.push(entry);
+
+    return {
+      type: `round_${to}`,
+      roundId: round.id,
+      ...entry
+    };
+  }
+
+  // Initial history entry for a newly created round
+  initialize(round) {
+    round.status = 'waiting';
+    round.history = [{ from: null, to: 'waiting', at: round.createdAt }];
+  }
+}
+
+module.exports = new RoundStateMachine();
@@ -0,0 +1,152 @@
+// services/scoringService.js - Named leaderboard scorers and tie-breakers shared by every leaderboard
+
+class ScoringService {
+  constructor() {
+    // Each scorer maps a leaderboard entry to a number, higher is better
+    this.scorers = {
+      // Raw return on the starting balance
+      pnl: (entry) => entry.pnlPercentage,
+
+      // Return as a multiple of the round's profit target
+      profit_vs_target: (entry, context) => {
+        const target = this.getProfitTarget(context.round);
+        return target !== 0 ? entry.pnlPercentage / target : 0;
+      },
+
+      // Sharpe ratio of the equity curve (0 until there are enough ticks)
+      risk_adjusted: (entry) => entry.riskMetrics?.sharpe ?? 0,
+
+      // Share of ticks that made money, minus the worst drawdown
+      consistency: (entry) => {
+        const metrics = entry.riskMetrics;
+        if (!metrics || !metrics.periods) return 0;
+        return metrics.positiveReturnRate * 100 - metrics.maxDrawdown;
+      },
+
+      // Return over the equal-weight buy-and-hold benchmark
+      beat_benchmark: (entry, context) => entry.pnlPercentage - (context.benchmarkReturn || 0)
+    };
+
+    // Tie-breakers: field and which direction wins
+    this.tieBreakers = {
+      pnlPercentage: { field: (e) => e.pnlPercentage, higherIsBetter: true },
+      maxDrawdown: { field: (e) => e.riskMetrics?.maxDrawdown ?? 0, higherIsBetter: false },
+      volatility: { field: (e) => e.riskMetrics?.volatility ?? 0, higherIsBetter: false },
+      winRate: { field: (e) => e.winRate, higherIsBetter: true },
+      trades: { field: (e) => e.trades, higherIsBetter: false }
+    };
+
+    this.defaults = {
+      scorer: 'pnl',
+      tieBreakers: ['pnlPercentage', 'maxDrawdown', 'winRate'],
+      targetProfitPercent: 5
+    };
+  }
+
+  // Add a named scorer: (entry, { round, benchmarkReturn }) => number
+  registerScorer(name, scorer) {
+    if (typeof scorer !== 'function') {
+      throw new Error('Scorer must be a function');
+    }
+    this.scorers[name] = scorer;
+  }
+
+  /**
+   * Normalise round.settings.scoring
+   * @param {string|Object} scoring - Scorer name, or { scorer, tieBreakers, targetProfitPercent }
+   * @returns {Object} { scorer, tieBreakers, targetProfitPercent }
+   */
+  getSettings(scoring) {
+    const settings = typeof scoring === 'string'
+      ? { ...this.defaults, scorer: scoring }
+      : { ...this.defaults, ...(scoring || {}) };
+
+    if (!this.scorers[settings.scorer]) {
+      throw new Error(`Unknown scorer "${settings.scorer}". Available: ${Object.keys(this.scorers).join(', ')}`);
+    }
+
+    const unknown = settings.tieBreakers.filter(name => !this.tieBreakers[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tie-breaker "${unknown[0]}". Available: ${Object.keys(this.tieBreakers).join(', ')}`);
+    }
+
+    return settings;
+  }
+
+  // Profit target in % for profit_vs_target (AI-created games carry their own)
+  getProfitTarget(round) {
+    return round?.profitTracking?.expectedProfitPercent ||
+      round?.settings?.scoring?.targetProfitPercent ||
+      this.defaults.targetProfitPercent;
+  }
+
+  /**
+   * Score and rank leaderboard entries
+   * Survivors always rank above eliminated players (later knockouts higher), then score, then tie-breakers
+   * @param {Array<Object>} entries - Leaderboard entries (pnlPercentage, riskMetrics, trades, winRate, eliminatedOrder)
+   * @param {Object} context - { round, benchmarkReturn }
+   * @returns {Array<Object>} New entries with score, scorer and rank set, best first
+   */
+  rank(entries, context = {}) {
+    const settings = this.getSettings(context.round?.settings?.scoring);
+    const scorer = this.scorers[settings.scorer];
+
+    const scored = entries.map(entry => {
+      const score = scorer(entry, context);
+      return { ...entry, score: Number.isFinite(score) ? score : 0, scorer: settings.scorer };
+    });
+
+    scored.sort((a, b) => {
+      const aOut = a.eliminatedOrder || 0;
+      const bOut = b.eliminatedOrder || 0;
+      if ((aOut === 0) !== (bOut === 0)) return aOut === 0 ? -1 : 1;
+      if (aOut !== bOut) return bOut - aOut;
+
+      if (b.score !== a.score) return b.score - a.score;
+
+      for (const name of settings.tieBreakers) {
+        const { field, higherIsBetter } = this.tieBreakers[name];
+        const diff = (field(b) || 0) - (field(a) || 0);
+        if (diff !== 0) return higherIsBetter ? diff : -diff;
+      }
+
+      // Deterministic last resort
+      return a.walletAddress < b.walletAddress ? -1 : a.walletAddress > b.walletAddress ? 1 : 0;
+    });
+
+    scored.forEach((entry, index) => {
+      entry.rank = index + 1;
+    });
+
+    return scored;
+  }
+
+  // Profit-vs-target score with a letter grade, as shown on the enhanced leaderboard
+  describeProfitVsTarget(entry, round) {
+    const expectedProfitPercent = this.getProfitTarget(round);
+    const actualProfitPercent = entry.pnlPercentage || 0;
+    const profitScore = this.scorers.profit_vs_target(entry, { round });
+
+    return {
+      profitScore: Math.round(profitScore * 100) / 100,
+      grade: this.getGrade(profitScore),
+      expectedProfitPercent,
+      actualProfitPercent: Math.round(actualProfitPercent * 100) / 100,
+      scoreDescription: `${Math.round(actualProfitPercent * 100) / 100}% / ${expectedProfitPercent}% = ${Math.round(profitScore * 100) / 100}x`
+    };
+  }
+
+  // Letter grade for a profit-vs-target multiple
+  getGrade(profitScore) {
+    if (profitScore >= 2.0) return 'A+';
+    if (profitScore >= 1.5) return 'A';
+    if (profitScore >= 1.2) return 'B+';
+    if (profitScore >= 1.0) return 'B';
+    if (profitScore >= 0.8) return 'C+';
+    if (profitScore >= 0.6) return 'C';
+    if (profitScore >= 0.4) return 'D';
+    return 'F';
+  }
+}
+
+module.exports = new ScoringService();
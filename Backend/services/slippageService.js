@@ -0,0 +1,74 @@
+// services/slippageService.js - Constant-product AMM price impact for simulated fills
+
+class SlippageService {
+  constructor() {
+    this.defaults = {
+      maxSlippage: 0.05,   // orders moving the price more than 5% are capped
+      partialFills: true   // false = reject the whole order instead of filling what fits
+    };
+  }
+
+  // Merge round-level slippage settings over defaults
+  getSettings(settings = {}) {
+    return {
+      maxSlippage: settings.maxSlippage !== undefined ? parseFloat(settings.maxSlippage) : this.defaults.maxSlippage,
+      partialFills: settings.partialFills !== undefined ? Boolean(settings.partialFills) : this.defaults.partialFills
+    };
+  }
+
+  /**
+   * Quote a market order against an x*y=k pool holding half the liquidity on each side
+   * @param {string} side - 'buy' (takes tokens out of the pool) or 'sell' (puts tokens in)
+   * @param {number} price - Quoted mid price
+   * @param {number} liquidity - Pool liquidity in USD (DEXScreener liquidity.usd)
+   * @param {number} notional - Order size in USD at the mid price
+   * @param {Object} settings - Slippage settings (see getSettings)
+   * @param {boolean} enforceLimit - Apply maxSlippage (forced closes skip it)
+   * @returns {Object|null} { notional, executionPrice, slippage, partial } or null when rejected
+   */
+  quote(side, price, liquidity, notional, settings, enforceLimit = true) {
+    if (!(notional > 0)) return null;
+
+    // Without liquidity data there is nothing to model, fill at the quote
+    if (!(liquidity > 0)) {
+      return { notional, executionPrice: price, slippage: 0, partial: false };
+    }
+
+    const reserve = liquidity / 2; // USD side of the pool
+    const limit = settings.maxSlippage;
+
+    // Largest size whose impact stays within the limit
+    const maxNotional = side === 'buy'
+      ? reserve * limit / (1 + limit)
+      : reserve * limit / (1 - limit);
+
+    let filled = notional;
+
+    if (enforceLimit && limit >= 0 && limit < 1 && notional > maxNotional) {
+      if (!settings.partialFills || maxNotional <= 0) return null;
+      filled = maxNotional;
+    }
+
+    // A buy can never drain the whole pool
+    if (side === 'buy' && filled >= reserve) {
+      filled = reserve * 0.99;
+    }
+
+    const slippage = side === 'buy'
+      ? filled / (reserve - filled)
+      : filled / (reserve + filled);
+
+    const executionPrice = side === 'buy'
+      ? price * (1 + slippage)
+      : price * (1 - slippage);
+
+    return {
+      notional: filled,
+      executionPrice,
+      slippage,
+      partial: filled < notional
+    };
+  }
+}
+
+module.exports = new SlippageService();
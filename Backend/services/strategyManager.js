@@ -7,6 +7,7 @@ class StrategyManager {
     this.strategyPrefix = 'strategy:';
     this.userStrategiesPrefix = 'user:strategies:';
     this.strategyCounterKey = 'strategy:counter';
+    this.strategyLocks = new Map(); // strategyId -> promise chain for read-modify-write updates
   }
 
   /**
@@ -49,15 +50,7 @@ class StrategyManager {
         updatedAt: new Date().toISOString(),
         
         // Performance tracking (off-chain)
-        stats: {
-          totalUses: 0,
-          totalEarnings: 0,
-          winRate: 0,
-          successfulTrades: 0,
-          totalTrades: 0,
-          bestPerformance: 0,
-          averageReturn: 0
-        },
+        stats: this.getDefaultStats(),
         
         // Status
         isActive: true,
@@ -221,41 +214,119 @@ class StrategyManager {
     }
   }
 
+  // Fresh stats block (older strategies are topped up with any fields they lack)
+  getDefaultStats() {
+    return {
+      totalUses: 0,
+      totalEarnings: 0, // royalties from licensees
+      winRate: 0, // winning closed trades / closed trades
+      successfulTrades: 0, // closed trades that made money
+      closedTrades: 0,
+      totalTrades: 0,
+      roundsWon: 0,
+      bestPerformance: 0,
+      averageReturn: 0, // mean round return in %
+      totalReturn: 0,
+      averageRank: 0,
+      bestRank: null,
+      byToken: {}, // token -> { trades, closedTrades, successfulTrades, winRate, realizedPnl }
+      byGameType: {} // round game type -> { uses, roundsWon, totalReturn, averageReturn, closedTrades, successfulTrades, winRate }
+    };
+  }
+
   /**
-   * Update strategy performance stats
+   * Update strategy performance stats with one round's result
+   * Royalty credits pass { earnings, countUse: false } and leave the performance figures alone.
    * @param {number} strategyId - Strategy ID
-   * @param {Object} performance - Performance data
+   * @param {Object} performance - { returnPercent, trades, closedTrades, wins, rank, won, gameType, tokens, earnings, countUse }
+   *   tokens: { [token]: { trades, closedTrades, wins, realizedPnl } }
    */
-  async updateStrategyStats(strategyId, performance) {
+  updateStrategyStats(strategyId, performance) {
+    return this.withStrategyLock(strategyId, () => this.applyStrategyStats(strategyId, performance));
+  }
+
+  // Strategy records are read, changed and written back: updates to one strategy run one after another
+  withStrategyLock(strategyId, task) {
+    const key = String(strategyId);
+    const previous = this.strategyLocks.get(key) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.catch(() => {});
+
+    this.strategyLocks.set(key, settled);
+    settled.then(() => {
+      if (this.strategyLocks.get(key) === settled) this.strategyLocks.delete(key);
+    });
+
+    return next;
+  }
+
+  async applyStrategyStats(strategyId, performance) {
     try {
       const strategy = await this.getStrategy(strategyId);
-      
-      // Update stats
-      strategy.stats.totalUses += 1;
-      strategy.stats.totalTrades += performance.trades || 0;
-      
-      if (performance.won) {
-        strategy.stats.successfulTrades += 1;
-      }
+      const stats = { ...this.getDefaultStats(), ...strategy.stats };
       
       if (performance.earnings) {
-        strategy.stats.totalEarnings += performance.earnings;
+        stats.totalEarnings += performance.earnings;
       }
       
-      if (performance.returnPercent > strategy.stats.bestPerformance) {
-        strategy.stats.bestPerformance = performance.returnPercent;
+      if (performance.countUse !== false) {
+        const returnPercent = performance.returnPercent || 0;
+        
+        stats.totalUses += 1;
+        stats.totalTrades += performance.trades || 0;
+        stats.closedTrades += performance.closedTrades || 0;
+        stats.successfulTrades += performance.wins || 0;
+        stats.totalReturn += returnPercent;
+        
+        if (performance.won) {
+          stats.roundsWon += 1;
+        }
+        
+        if (stats.totalUses === 1 || returnPercent > stats.bestPerformance) {
+          stats.bestPerformance = returnPercent;
+        }
+        
+        if (performance.rank) {
+          stats.averageRank = ((stats.averageRank * (stats.totalUses - 1)) + performance.rank) / stats.totalUses;
+          stats.bestRank = stats.bestRank ? Math.min(stats.bestRank, performance.rank) : performance.rank;
+        }
+        
+        // Per-token breakdown
+        for (const [token, result] of Object.entries(performance.tokens || {})) {
+          const tokenStats = stats.byToken[token] || { trades: 0, closedTrades: 0, successfulTrades: 0, winRate: 0, realizedPnl: 0 };
+          tokenStats.trades += result.trades || 0;
+          tokenStats.closedTrades += result.closedTrades || 0;
+          tokenStats.successfulTrades += result.wins || 0;
+          tokenStats.realizedPnl += result.realizedPnl || 0;
+          tokenStats.winRate = tokenStats.closedTrades > 0 ? (tokenStats.successfulTrades / tokenStats.closedTrades) * 100 : 0;
+          stats.byToken[token] = tokenStats;
+        }
+        
+        // Per-game-type breakdown
+        const gameType = performance.gameType || 'solo';
+        const typeStats = stats.byGameType[gameType] ||
+          { uses: 0, roundsWon: 0, totalReturn: 0, averageReturn: 0, closedTrades: 0, successfulTrades: 0, winRate: 0 };
+        typeStats.uses += 1;
+        typeStats.roundsWon += performance.won ? 1 : 0;
+        typeStats.totalReturn += returnPercent;
+        typeStats.averageReturn = typeStats.totalReturn / typeStats.uses;
+        typeStats.closedTrades += performance.closedTrades || 0;
+        typeStats.successfulTrades += performance.wins || 0;
+        typeStats.winRate = typeStats.closedTrades > 0 ? (typeStats.successfulTrades / typeStats.closedTrades) * 100 : 0;
+        stats.byGameType[gameType] = typeStats;
       }
       
-      // Recalculate win rate
-      strategy.stats.winRate = strategy.stats.totalTrades > 0 
-        ? (strategy.stats.successfulTrades / strategy.stats.totalTrades) * 100 
+      // Win rate from trades: winning closes over all closes
+      stats.winRate = stats.closedTrades > 0 
+        ? (stats.successfulTrades / stats.closedTrades) * 100 
         : 0;
       
-      // Recalculate average return
-      strategy.stats.averageReturn = strategy.stats.totalUses > 0
-        ? strategy.stats.totalEarnings / strategy.stats.totalUses
+      // Average return per round played
+      stats.averageReturn = stats.totalUses > 0
+        ? stats.totalReturn / stats.totalUses
         : 0;
       
+      strategy.stats = stats;
       strategy.updatedAt = new Date().toISOString();
 
       // Save updated strategy
@@ -327,6 +398,25 @@ class StrategyManager {
     }
   }
 
+  /**
+   * Drop a license that was taken for a round the user never got into
+   * @param {string} userAddress - User address
+   * @param {number} roundId - Round ID
+   */
+  async revokeLicense(userAddress, roundId) {
+    try {
+      const license = await this.getUserRoundLicense(userAddress, roundId);
+      if (!license) return;
+
+      await redisService.del(`license:${userAddress}:${roundId}`);
+      await redisService.sRem(`strategy:${license.strategyId}:licenses`, `${userAddress}:${roundId}`);
+
+      console.log(`📜 Revoked license on strategy ${license.strategyId} for ${userAddress.slice(0, 8)}... in round ${roundId}`);
+    } catch (error) {
+      console.error('Revoke license error:', error);
+    }
+  }
+
   /**
    * Get user's licensed strategy for a round
    * @param {string} userAddress - User address
@@ -344,55 +434,150 @@ class StrategyManager {
   }
 
   /**
-   * Update strategy verification status (admin only)
-   * @param {number} strategyId - Strategy ID
-   * @param {boolean} isVerified - Verification status
+   * Pay the strategy owner their royalty on a licensee's round profit
+   * Credits stats.totalEarnings, sets license.profitShared and records the royalty for the owner's statement.
+   * A license is settled once; later calls return null.
+   * @param {Object} license - License from getUserRoundLicense
+   * @param {Object} result - { profit, roundTitle }
+   * @returns {Object|null} Royalty record, or null if already settled
    */
-  async verifyStrategy(strategyId, isVerified) {
+  async settleRoyalty(license, { profit, roundTitle = '' }) {
     try {
-      const strategy = await this.getStrategy(strategyId);
-      strategy.isVerified = isVerified;
-      strategy.updatedAt = new Date().toISOString();
+      if (license.royaltySettledAt) {
+        return null;
+      }
+
+      const royalty = profit > 0 ? Math.round(profit * license.royaltyPercent) / 100 : 0;
+      const settledAt = new Date().toISOString();
+      const royaltyKey = `strategy:owner:${license.strategyOwner}:royalties`;
+      const royaltyField = `${license.roundId}:${license.userAddress}`;
+
+      const record = {
+        roundId: license.roundId,
+        roundTitle,
+        strategyId: license.strategyId,
+        licensee: license.userAddress,
+        profit,
+        royaltyPercent: license.royaltyPercent,
+        royalty,
+        settledAt
+      };
+
+      // Credit the owner first; a retry after a partial failure finds the record and does not credit twice
+      if (royalty > 0 && !(await redisService.hGet(royaltyKey, royaltyField))) {
+        await this.updateStrategyStats(license.strategyId, { earnings: royalty, countUse: false });
+        await redisService.hSet(royaltyKey, royaltyField, JSON.stringify(record));
+
+        console.log(`💸 Strategy ${license.strategyId} earned ${royalty} royalty from ${license.userAddress.slice(0, 8)}... in round ${license.roundId}`);
+      }
+
+      // Only mark the license settled once the owner has been credited
+      license.profitShared = royalty;
+      license.roundProfit = profit;
+      license.royaltySettledAt = settledAt;
 
       await redisService.set(
-        `${this.strategyPrefix}${strategyId}`,
-        JSON.stringify(strategy)
+        `license:${license.userAddress}:${license.roundId}`,
+        JSON.stringify(license),
+        { ttl: 30 * 24 * 3600 } // 30 days TTL
       );
 
-      console.log(`✅ Strategy ${strategyId} verification set to: ${isVerified}`);
+      return record;
     } catch (error) {
-      console.error(`Verify strategy ${strategyId} error:`, error);
+      console.error(`Settle royalty for strategy ${license.strategyId} error:`, error);
       throw error;
     }
   }
 
+  /**
+   * Royalties earned by a strategy owner, grouped by round (newest first)
+   * @param {string} ownerAddress - Strategy owner address
+   * @returns {Object} { ownerAddress, totalRoyalties, rounds: [{ roundId, roundTitle, settledAt, total, royalties }] }
+   */
+  async getRoyaltyStatement(ownerAddress) {
+    const records = Object.values(await redisService.hGetAll(`strategy:owner:${ownerAddress}:royalties`))
+      .map(data => JSON.parse(data));
+
+    const rounds = new Map();
+    for (const record of records) {
+      if (!rounds.has(record.roundId)) {
+        rounds.set(record.roundId, {
+          roundId: record.roundId,
+          roundTitle: record.roundTitle,
+          settledAt: record.settledAt,
+          total: 0,
+          royalties: []
+        });
+      }
+
+      const round = rounds.get(record.roundId);
+      round.royalties.push(record);
+      round.total = Math.round((round.total + record.royalty) * 100) / 100;
+    }
+
+    const byRound = [...rounds.values()].sort((a, b) => b.settledAt.localeCompare(a.settledAt));
+
+    return {
+      ownerAddress,
+      totalRoyalties: Math.round(byRound.reduce((sum, round) => sum + round.total, 0) * 100) / 100,
+      rounds: byRound
+    };
+  }
+
+  /**
+   * Update strategy verification status (admin only)
+   * @param {number} strategyId - Strategy ID
+   * @param {boolean} isVerified - Verification status
+   */
+  verifyStrategy(strategyId, isVerified) {
+    return this.withStrategyLock(strategyId, async () => {
+      try {
+        const strategy = await this.getStrategy(strategyId);
+        strategy.isVerified = isVerified;
+        strategy.updatedAt = new Date().toISOString();
+
+        await redisService.set(
+          `${this.strategyPrefix}${strategyId}`,
+          JSON.stringify(strategy)
+        );
+
+        console.log(`✅ Strategy ${strategyId} verification set to: ${isVerified}`);
+      } catch (error) {
+        console.error(`Verify strategy ${strategyId} error:`, error);
+        throw error;
+      }
+    });
+  }
+
   /**
    * Toggle strategy active status
    * @param {number} strategyId - Strategy ID
    * @param {string} ownerAddress - Strategy owner address
    * @param {boolean} isActive - Active status
    */
-  async setStrategyStatus(strategyId, ownerAddress, isActive) {
-    try {
-      const strategy = await this.getStrategy(strategyId);
-      
-      if (strategy.owner !== ownerAddress) {
-        throw new Error('Not strategy owner');
-      }
+  setStrategyStatus(strategyId, ownerAddress, isActive) {
+    return this.withStrategyLock(strategyId, async () => {
+      try {
+        const strategy = await this.getStrategy(strategyId);
+        
+        if (strategy.owner !== ownerAddress) {
+          throw new Error('Not strategy owner');
+        }
 
-      strategy.isActive = isActive;
-      strategy.updatedAt = new Date().toISOString();
+        strategy.isActive = isActive;
+        strategy.updatedAt = new Date().toISOString();
 
-      await redisService.set(
-        `${this.strategyPrefix}${strategyId}`,
-        JSON.stringify(strategy)
-      );
+        await redisService.set(
+          `${this.strategyPrefix}${strategyId}`,
+          JSON.stringify(strategy)
+        );
 
-      console.log(`🔄 Strategy ${strategyId} status set to: ${isActive ? 'active' : 'inactive'}`);
-    } catch (error) {
-      console.error(`Set strategy status ${strategyId} error:`, error);
-      throw error;
-    }
+        console.log(`🔄 Strategy ${strategyId} status set to: ${isActive ? 'active' : 'inactive'}`);
+      } catch (error) {
+        console.error(`Set strategy status ${strategyId} error:`, error);
+        throw error;
+      }
+    });
   }
 
   /**
@@ -0,0 +1,436 @@
+// services/tournamentManager.js - Multi-round tournaments: qualifier stages, a final and cumulative standings
+const redisService = require('./redisService');
+const tradingRoundManager = require('./tradingRoundManager');
+const { EventEmitter } = require('events');
+
+class TournamentManager extends EventEmitter {
+  constructor() {
+    super();
+    this.queues = new Map(); // tournamentId -> promise chain, so stage results are applied one at a time
+
+    // Points awarded per finishing rank; register more with registerPointsTable
+    this.pointsTables = {
+      standard: (rank) => [25, 18, 15, 12, 10, 8, 6, 4, 2, 1][rank - 1] || 0,
+      linear: (rank, fieldSize) => Math.max(fieldSize - rank + 1, 0),
+      winner_takes_all: (rank) => (rank === 1 ? 1 : 0)
+    };
+
+    this.defaults = {
+      qualifierRounds: 1,
+      finalSize: 4,
+      pointsTable: 'standard'
+    };
+
+    tradingRoundManager.on('roundEnded', ({ roundId, round }) => this.handleRoundClosed(roundId, round));
+    tradingRoundManager.on('roundCancelled', ({ roundId, round }) => this.handleRoundClosed(roundId, round));
+  }
+
+  // Add a named points table: (rank, fieldSize) => points
+  registerPointsTable(name, scorer) {
+    if (typeof scorer !== 'function') {
+      throw new Error('Points table must be a function of (rank, fieldSize)');
+    }
+    this.pointsTables[name] = scorer;
+  }
+
+  // Resolve a points table from a registered name or an explicit array ([25, 18, ...])
+  getPointsScorer(pointsTable) {
+    if (Array.isArray(pointsTable)) {
+      return (rank) => parseFloat(pointsTable[rank - 1]) || 0;
+    }
+
+    const scorer = this.pointsTables[pointsTable];
+    if (!scorer) {
+      throw new Error(`Unknown points table "${pointsTable}"`);
+    }
+    return scorer;
+  }
+
+  /**
+   * Create a tournament and open its first stage
+   * @param {Object} config
+   * @param {string} config.name - Tournament name
+   * @param {Object} config.roundConfig - createRound config shared by every stage round
+   * @param {Array<Object>} config.stages - Optional [{ name, type: 'qualifier'|'final', rounds, advance, pointsMultiplier }]
+   * @param {number} config.qualifierRounds - Parallel qualifier rounds when stages are not given
+   * @param {number} config.finalSize - Players advancing to the final when stages are not given
+   * @param {string|Array<number>} config.pointsTable - Registered table name or points per rank
+   * @returns {Object} Tournament
+   */
+  async createTournament(config = {}) {
+    if (!config.name) {
+      throw new Error('Tournament name is required');
+    }
+
+    const pointsTable = config.pointsTable || this.defaults.pointsTable;
+    this.getPointsScorer(pointsTable); // throws on an unknown table
+
+    const stages = this.buildStages(config);
+    const tournamentId = `tournament_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const tournament = {
+      id: tournamentId,
+      name: config.name,
+      description: config.description || '',
+      status: 'running', // running, finished
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      createdBy: config.createdBy || 'api',
+      roundConfig: config.roundConfig || {},
+      pointsTable,
+      stages,
+      currentStage: 0,
+      standings: {}, // walletAddress -> cumulative standing
+      winner: null
+    };
+
+    await redisService.sAdd('tournaments', tournamentId);
+    await this.startStage(tournament, 0, null);
+
+    console.log(`🏆 Created tournament ${tournamentId}: ${tournament.name} (${stages.length} stages)`);
+
+    return tournament;
+  }
+
+  // Normalise explicit stages, or build qualifiers → final from qualifierRounds/finalSize
+  buildStages(config) {
+    const finalSize = parseInt(config.finalSize) || this.defaults.finalSize;
+
+    const stages = Array.isArray(config.stages) && config.stages.length > 0
+      ? config.stages
+      : [
+        { name: 'Qualifiers', type: 'qualifier', rounds: parseInt(config.qualifierRounds) || this.defaults.qualifierRounds, advance: finalSize },
+        { name: 'Final', type: 'final', rounds: 1 }
+      ];
+
+    return stages.map((stage, index) => {
+      const isLast = index === stages.length - 1;
+
+      if (!isLast && !(parseInt(stage.advance) > 0)) {
+        throw new Error(`Stage ${index + 1} must say how many players advance`);
+      }
+
+      return {
+        index,
+        name: stage.name || (isLast ? 'Final' : `Stage ${index + 1}`),
+        type: isLast ? 'final' : 'qualifier',
+        rounds: Math.max(1, parseInt(stage.rounds) || 1),
+        advance: isLast ? null : parseInt(stage.advance),
+        pointsMultiplier: parseFloat(stage.pointsMultiplier) || 1,
+        status: 'pending', // pending, running, finished
+        roundIds: [],
+        results: {}, // roundId -> scored leaderboard
+        advancers: [],
+        joinErrors: []
+      };
+    });
+  }
+
+  // Create the rounds for a stage; later stages are invite-only and auto-join the advancers
+  async startStage(tournament, stageIndex, advancers) {
+    const stage = tournament.stages[stageIndex];
+    const groups = advancers ? this.seedGroups(advancers, stage.rounds) : Array.from({ length: stage.rounds }, () => null);
+
+    tournament.currentStage = stageIndex;
+    stage.status = 'running';
+    stage.startedAt = new Date().toISOString();
+
+    for (let i = 0; i < groups.length; i++) {
+      const group = groups[i];
+
+      const round = await tradingRoundManager.createRound({
+        ...tournament.roundConfig,
+        title: `${tournament.name} - ${stage.name}${groups.length > 1 ? ` ${i + 1}` : ''}`,
+        createdBy: `tournament:${tournament.id}`,
+        tournament: { id: tournament.id, stageIndex },
+        ...(group ? {
+          allowedWallets: group,
+          maxParticipants: group.length,
+          minParticipants: Math.min(2, group.length)
+        } : {})
+      });
+
+      stage.roundIds.push(round.id);
+    }
+
+    // Persist before joining so a round ending early finds its stage
+    await this.saveTournament(tournament);
+
+    if (advancers) {
+      const entrants = await redisService.hGetAll(`tournament:${tournament.id}:entrants`);
+
+      for (let i = 0; i < groups.length; i++) {
+        for (const walletAddress of groups[i]) {
+          try {
+            const { username, manual, strategyId, licenseStrategyId, strategy } = JSON.parse(entrants[walletAddress]);
+            await tradingRoundManager.joinRound(stage.roundIds[i], {
+              walletAddress,
+              username,
+              manual,
+              strategyId,
+              licenseStrategyId,
+              strategy
+            });
+          } catch (error) {
+            console.error(`Tournament ${tournament.id}: ${walletAddress} could not join ${stage.name}:`, error.message);
+            stage.joinErrors.push({ walletAddress, roundId: stage.roundIds[i], error: error.message });
+          }
+        }
+      }
+
+      if (stage.joinErrors.length > 0) {
+        await this.saveTournament(tournament);
+      }
+    }
+
+    this.emit('tournamentStageStarted', { tournamentId: tournament.id, stage: stageIndex, roundIds: stage.roundIds });
+    await this.broadcastTournament(tournament);
+  }
+
+  // Split seeded players across rounds in snake order (1-4-5, 2-3-6 ...) so groups stay balanced
+  seedGroups(players, roundCount) {
+    const groups = Array.from({ length: Math.min(roundCount, players.length) }, () => []);
+
+    players.forEach((walletAddress, index) => {
+      const lap = Math.floor(index / groups.length);
+      const position = index % groups.length;
+      groups[lap % 2 === 0 ? position : groups.length - 1 - position].push(walletAddress);
+    });
+
+    return groups;
+  }
+
+  // A stage round finished or was cancelled
+  handleRoundClosed(roundId, round) {
+    if (!round || !round.tournament) return;
+
+    this.enqueue(round.tournament.id, () => this.completeRound(round.tournament.id, roundId))
+      .catch(error => console.error(`Tournament ${round.tournament.id} error for round ${roundId}:`, error));
+  }
+
+  // Run tournament updates one after another
+  enqueue(tournamentId, task) {
+    const previous = this.queues.get(tournamentId) || Promise.resolve();
+    const next = previous.then(task, task);
+
+    this.queues.set(tournamentId, next.catch(() => {}));
+    return next;
+  }
+
+  // Score a closed round and advance the tournament when its stage is complete
+  async completeRound(tournamentId, roundId) {
+    const tournament = await this.getTournament(tournamentId);
+    if (!tournament || tournament.status !== 'running') return;
+
+    const stage = tournament.stages.find(s => s.roundIds.includes(roundId));
+    if (!stage || stage.results[roundId]) return;
+
+    const round = await tradingRoundManager.getRound(roundId);
+
+    // Cancelled (void) or expired rounds score nobody
+    const leaderboard = round && round.status === 'finished'
+      ? await tradingRoundManager.getLeaderboard(roundId, round.maxParticipants)
+      : [];
+
+    const scorer = this.getPointsScorer(tournament.pointsTable);
+
+    stage.results[roundId] = [];
+    for (const entry of leaderboard) {
+      const points = scorer(entry.rank, leaderboard.length) * stage.pointsMultiplier;
+
+      stage.results[roundId].push({
+        walletAddress: entry.walletAddress,
+        username: entry.username,
+        rank: entry.rank,
+        pnlPercentage: entry.pnlPercentage,
+        points
+      });
+
+      await this.recordResult(tournament, stage, roundId, entry, points);
+    }
+
+    console.log(`🏆 Tournament ${tournamentId}: scored ${stage.name} round ${roundId} (${leaderboard.length} players)`);
+
+    if (stage.roundIds.every(id => stage.results[id])) {
+      await this.finishStage(tournament, stage);
+    } else {
+      await this.saveTournament(tournament);
+      await this.broadcastTournament(tournament);
+    }
+  }
+
+  // Add a round result to the wallet's cumulative standing and remember its strategy for later stages
+  async recordResult(tournament, stage, roundId, entry, points) {
+    const standing = tournament.standings[entry.walletAddress] || {
+      walletAddress: entry.walletAddress,
+      username: entry.username,
+      points: 0,
+      totalPnlPercentage: 0,
+      stageReached: 0,
+      eliminated: false,
+      results: []
+    };
+
+    standing.points += points;
+    standing.totalPnlPercentage += entry.pnlPercentage;
+    standing.stageReached = Math.max(standing.stageReached, stage.index);
+    standing.results.push({
+      stage: stage.index,
+      stageName: stage.name,
+      roundId,
+      rank: entry.rank,
+      pnlPercentage: entry.pnlPercentage,
+      points
+    });
+
+    tournament.standings[entry.walletAddress] = standing;
+
+    // How the wallet joined stays out of the tournament record; it is only needed to re-enter later stages
+    const participant = await redisService.get(`round:${roundId}:participant:${entry.walletAddress}`);
+    if (participant) {
+      await redisService.hSet(`tournament:${tournament.id}:entrants`, entry.walletAddress,
+                              JSON.stringify(this.getEntrant(JSON.parse(participant))));
+    }
+  }
+
+  // Join details that put a wallet back in the next stage the way it entered: manual, by strategy ID, or by text
+  getEntrant({ username, type, strategy }) {
+    if (type === 'human') {
+      return { username, manual: true };
+    }
+    if (strategy.isLicensed) {
+      return { username, licenseStrategyId: strategy.id };
+    }
+    if (strategy.id) {
+      return { username, strategyId: strategy.id };
+    }
+    return { username, strategy: strategy.original };
+  }
+
+  // Close a stage: advance the top players by cumulative points, or crown the winner
+  async finishStage(tournament, stage) {
+    stage.status = 'finished';
+    stage.finishedAt = new Date().toISOString();
+
+    const standings = this.getStandings(tournament).filter(s => s.stageReached === stage.index);
+    const isLast = stage.index === tournament.stages.length - 1;
+
+    if (!isLast) {
+      stage.advancers = standings.slice(0, stage.advance).map(s => s.walletAddress);
+
+      for (const standing of standings.slice(stage.advance)) {
+        tournament.standings[standing.walletAddress].eliminated = true;
+      }
+    }
+
+    // A final needs at least two players
+    if (isLast || stage.advancers.length < 2) {
+      tournament.status = 'finished';
+      tournament.finishedAt = new Date().toISOString();
+      tournament.winner = this.getStandings(tournament)[0] || null;
+
+      await this.saveTournament(tournament);
+
+      console.log(`🏆 Tournament ${tournament.id} finished, winner: ${tournament.winner ? tournament.winner.username : 'none'}`);
+
+      this.emit('tournamentFinished', { tournamentId: tournament.id, winner: tournament.winner });
+      await this.broadcastTournament(tournament);
+      return;
+    }
+
+    await this.startStage(tournament, stage.index + 1, stage.advancers);
+  }
+
+  /**
+   * Cumulative standings, best first
+   * Ties break on the furthest stage reached, then on summed PnL %
+   * @param {Object} tournament - Tournament data
+   * @returns {Array<Object>} Ranked standings
+   */
+  getStandings(tournament) {
+    return Object.values(tournament.standings)
+      .sort((a, b) =>
+        b.points - a.points ||
+        b.stageReached - a.stageReached ||
+        b.totalPnlPercentage - a.totalPnlPercentage)
+      .map((standing, index) => ({ rank: index + 1, ...standing }));
+  }
+
+  // Stage-by-stage view of rounds, results and who advanced
+  getBracket(tournament) {
+    return tournament.stages.map(stage => ({
+      index: stage.index,
+      name: stage.name,
+      type: stage.type,
+      status: stage.status,
+      advance: stage.advance,
+      pointsMultiplier: stage.pointsMultiplier,
+      rounds: stage.roundIds.map(roundId => ({
+        roundId,
+        completed: Boolean(stage.results[roundId]),
+        results: stage.results[roundId] || []
+      })),
+      advancers: stage.advancers
+    }));
+  }
+
+  // Pick up rounds that closed while the server was down
+  async recoverTournaments() {
+    const tournamentIds = await redisService.sMembers('tournaments');
+    let recovered = 0;
+
+    for (const tournamentId of tournamentIds) {
+      const tournament = await this.getTournament(tournamentId);
+      if (!tournament || tournament.status !== 'running') continue;
+
+      const stage = tournament.stages[tournament.currentStage];
+
+      for (const roundId of stage.roundIds) {
+        if (stage.results[roundId]) continue;
+
+        const round = await tradingRoundManager.getRound(roundId);
+        if (!round || ['finished', 'cancelled'].includes(round.status)) {
+          await this.enqueue(tournamentId, () => this.completeRound(tournamentId, roundId));
+          recovered += 1;
+        }
+      }
+    }
+
+    console.log(`♻️ Tournament recovery: ${recovered} closed rounds scored`);
+
+    return { recovered };
+  }
+
+  async broadcastTournament(tournament) {
+    this.emit('tournamentUpdated', {
+      tournamentId: tournament.id,
+      status: tournament.status,
+      currentStage: tournament.currentStage,
+      standings: this.getStandings(tournament),
+      bracket: this.getBracket(tournament)
+    });
+  }
+
+  async saveTournament(tournament) {
+    await redisService.set(`tournament:${tournament.id}`, JSON.stringify(tournament));
+  }
+
+  async getTournament(tournamentId) {
+    const data = await redisService.get(`tournament:${tournamentId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async listTournaments(status = null) {
+    const tournamentIds = await redisService.sMembers('tournaments');
+    const tournaments = [];
+
+    for (const tournamentId of tournamentIds) {
+      const tournament = await this.getTournament(tournamentId);
+      if (tournament && (!status || tournament.status === status)) tournaments.push(tournament);
+    }
+
+    return tournaments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+module.exports = new TournamentManager();
@@ -2,19 +2,52 @@
 const redisService = require('./redisService');
 const groqService = require('./groqService');
 const baseTokensService = require('./baseTokensService');
+const positionSizingService = require('./positionSizingService');
+const marginService = require('./marginService');
+const slippageService = require('./slippageService');
+const feeService = require('./feeService');
+const roundStateMachine = require('./roundStateMachine');
+const riskMetricsService = require('./riskMetricsService');
+const scoringService = require('./scoringService');
+const benchmarkService = require('./benchmarkService');
+const fillLedgerService = require('./fillLedgerService');
+const walletLedgerService = require('./walletLedgerService');
+const prizePoolService = require('./prizePoolService');
+const strategyManager = require('./strategyManager');
 const { EventEmitter } = require('events');
+const crypto = require('crypto');
 
 class TradingRoundManager extends EventEmitter {
   constructor() {
     super();
     this.activeExecutions = new Map(); // roundId -> intervalId
+    this.tickStates = new Map(); // roundId -> { running, queued, skipped, ending } for overlapping ticks
+    this.countdownTimers = new Map(); // roundId -> { timeoutId, intervalId }
+    this.participantLocks = new Map(); // roundId:walletAddress -> promise chain
+    this.priceSnapshots = new Map(); // roundId -> latest tick's frozen price snapshot
+    this.lastLogTimestamp = 0;
+    this.roundResultsTtl = 3600000; // rounds stay readable for an hour after they end
+    this.deadlineExceeded = Symbol('deadlineExceeded'); // withDeadline's result when time runs out
     this.roundDefaults = {
       duration: 180000, // 3 minutes
       startingBalance: 10000,
       maxParticipants: 10,
       executionInterval: 15000, // 15 seconds
+      tickBudgetRatio: 0.8, // default tick budget as a share of executionInterval
+      maxConcurrency: 3, // participants executed in parallel per tick
+      countdownDuration: 30000, // lobby countdown once minParticipants is reached
+      countdownOnJoin: 'extend', // reset | extend | none when more players join mid-countdown
+      countdownExtension: 10000, // added per join in 'extend' mode, capped at countdownDuration
+      fullRoomCountdown: 5000, // a full room starts within 5 seconds
+      countdownTickInterval: 1000,
+      maxTeamSize: 3,
+      maxBotPauses: 3, // participant kill switch uses per round (0 = disabled)
+      maxStrategySwaps: 2, // mid-round strategy replacements (0 = disabled)
+      allowFlatten: true,
+      eliminationInterval: 4, // elimination rounds: checkpoint every 4 execution ticks
+      eliminationCount: 1, // players knocked out per checkpoint
       maxPositionSize: 0.3,
-      tradingFee: 0.001,
+      positionSizing: { model: 'confidence' },
       allowedTokens: ['ETH', 'TOSHI', 'DEGEN', 'BRETT', 'HIGHER', 'AERO']
     };
   }
@@ -31,18 +64,49 @@ class TradingRoundManager extends EventEmitter {
       duration: config.duration || this.roundDefaults.duration,
       startingBalance: config.startingBalance || this.roundDefaults.startingBalance,
       maxParticipants: config.maxParticipants || this.roundDefaults.maxParticipants,
-      status: 'waiting', // waiting, active, finished, cancelled
+      status: 'waiting', // waiting, countdown, active, paused, settling, finished, cancelled
       createdAt: new Date().toISOString(),
       startTime: null,
       endTime: null,
+      pausedAt: null,
+      totalPausedMs: 0,
       createdBy: config.createdBy || 'system',
+      scheduleId: config.scheduleId || null,
+      tournament: config.tournament || null, // { id, stageIndex } for tournament stage rounds
+      profitTracking: config.profitTracking || null, // AI-created games: { expectedProfitPercent, ... }
+      gameType: config.gameType || 'trading', // trending, momentum, arbitrage, prediction (AI-created games) or trading
+      prizePool: prizePoolService.getSettings(config), // { entryFee, rakePercent, payoutCurve, entries, collected }
       settings: {
         executionInterval: config.executionInterval || this.roundDefaults.executionInterval,
+        tickBudget: config.tickBudget ||
+          Math.floor((config.executionInterval || this.roundDefaults.executionInterval) * this.roundDefaults.tickBudgetRatio),
+        maxConcurrency: config.maxConcurrency || this.roundDefaults.maxConcurrency,
+        tickOverlap: config.tickOverlap === 'queue' ? 'queue' : 'skip', // what to do when a tick fires mid-tick
         maxPositionSize: config.maxPositionSize || this.roundDefaults.maxPositionSize,
-        tradingFee: config.tradingFee || this.roundDefaults.tradingFee,
         allowedTokens: config.allowedTokens || this.roundDefaults.allowedTokens,
+        positionSizing: positionSizingService.getSettings(config.positionSizing || this.roundDefaults.positionSizing),
+        ...marginService.getSettings(config), // maxLeverage, allowShorts, maintenanceMargin, financing rates
+        ...slippageService.getSettings(config), // maxSlippage, partialFills
+        ...feeService.getSettings(config), // feeTier, tradingFee, gasCostUsd, feeRebate
         autoStart: config.autoStart !== undefined ? config.autoStart : true,
-        minParticipants: config.minParticipants || 2
+        countdownDuration: config.countdownDuration || this.roundDefaults.countdownDuration,
+        countdownOnJoin: config.countdownOnJoin || this.roundDefaults.countdownOnJoin,
+        countdownExtension: config.countdownExtension || this.roundDefaults.countdownExtension,
+        fullRoomCountdown: config.fullRoomCountdown || this.roundDefaults.fullRoomCountdown,
+        minParticipants: config.minParticipants || 2,
+        // team = wallets join under a team name, each trades its own sub-account
+        // elimination = the bottom of the leaderboard is knocked out at checkpoints
+        mode: ['team', 'elimination'].includes(config.mode) ? config.mode : 'solo',
+        maxTeamSize: config.maxTeamSize || this.roundDefaults.maxTeamSize,
+        maxTeams: config.maxTeams || null, // null = limited only by maxParticipants
+        eliminationInterval: config.eliminationInterval || this.roundDefaults.eliminationInterval,
+        eliminationCount: config.eliminationCount || this.roundDefaults.eliminationCount,
+        allowedWallets: config.allowedWallets || null, // null = open entry
+        manualTrading: Boolean(config.manualTrading), // humans place their own orders via place-order
+        maxBotPauses: config.maxBotPauses !== undefined ? config.maxBotPauses : this.roundDefaults.maxBotPauses,
+        maxStrategySwaps: config.maxStrategySwaps !== undefined ? config.maxStrategySwaps : this.roundDefaults.maxStrategySwaps,
+        allowFlatten: config.allowFlatten !== undefined ? Boolean(config.allowFlatten) : this.roundDefaults.allowFlatten,
+        scoring: scoringService.getSettings(config.scoring) // { scorer, tieBreakers, targetProfitPercent }
       },
       stats: {
         totalParticipants: 0,
@@ -51,9 +115,10 @@ class TradingRoundManager extends EventEmitter {
         averagePnL: 0
       }
     };
+    roundStateMachine.initialize(round);
 
     // Store round with TTL (duration + 1 hour for viewing results)
-    const ttl = Math.floor((round.duration + 3600000) / 1000);
+    const ttl = Math.floor((round.duration + this.roundResultsTtl) / 1000);
     await redisService.set(`round:${roundId}`, JSON.stringify(round), { ttl });
     
     // Add to active rounds set
@@ -72,12 +137,16 @@ class TradingRoundManager extends EventEmitter {
 
   // Join round with wallet address and strategy
   async joinRound(roundId, participantData) {
-    const { walletAddress, strategy, username } = participantData;
+    const { walletAddress, strategy, strategyId, licenseStrategyId, username, teamName, manual } = participantData;
     
-    if (!walletAddress || !strategy) {
+    if (!walletAddress) {
       throw new Error('Wallet address and strategy are required');
     }
 
+    if (manual && (strategy || strategyId || licenseStrategyId)) {
+      throw new Error('Manual players join without a strategy; drop manual or the strategy');
+    }
+
     // Get round data
     const roundData = await redisService.get(`round:${roundId}`);
     if (!roundData) {
@@ -85,78 +154,701 @@ class TradingRoundManager extends EventEmitter {
     }
 
     const round = JSON.parse(roundData);
+    const entryFee = round.prizePool?.entryFee || 0;
+    
+    // Humans may join without a strategy and trade through place-order
+    const isHuman = Boolean(manual) || (!strategy && !strategyId && !licenseStrategyId);
+    if (isHuman && !round.settings.manualTrading) {
+      throw new Error(manual ? 'Round does not allow manual trading' : 'Wallet address and strategy are required');
+    }
     
-    if (round.status !== 'waiting') {
+    if (!['waiting', 'countdown'].includes(round.status)) {
       throw new Error(`Round is ${round.status}, cannot join`);
     }
 
-    // Check if wallet already joined
+    // Check participant limit
+    if (round.stats.totalParticipants >= round.maxParticipants) {
+      throw new Error('Round is full');
+    }
+
+    // Invite-only rounds (e.g. tournament finals)
+    if (round.settings.allowedWallets && !round.settings.allowedWallets.includes(walletAddress)) {
+      throw new Error('Wallet is not eligible for this round');
+    }
+
+    // Claim the participant slot up front, so two concurrent joins from one wallet can't both get through the slow parse
     const participantKey = `round:${roundId}:participant:${walletAddress}`;
-    const existingParticipant = await redisService.get(participantKey);
-    if (existingParticipant) {
+    const participantsKey = `round:${roundId}:participants`;
+    if (!(await redisService.sAdd(participantsKey, walletAddress))) {
       throw new Error('Wallet already joined this round');
     }
 
-    // Check participant limit
-    if (round.stats.totalParticipants >= round.maxParticipants) {
-      throw new Error('Round is full');
+    // A wallet may only play one round per tournament stage
+    const stageEntryKey = round.tournament
+      ? `tournament:${round.tournament.id}:stage:${round.tournament.stageIndex}:wallets`
+      : null;
+    if (stageEntryKey && !(await redisService.sAdd(stageEntryKey, walletAddress))) {
+      await redisService.sRem(participantsKey, walletAddress);
+      throw new Error('Wallet already entered this tournament stage');
     }
 
-    // Parse strategy with AI
-    console.log(`🧠 Parsing strategy for ${walletAddress.slice(0, 8)}...`);
-    const parsedStrategy = await groqService.parseStrategy(strategy);
+    // Team rounds: claim a seat on the team before the (slow) strategy parse
+    let team = null;
+    let resolvedStrategy = null;
+    let latestRound = null;
+    try {
+      if (round.settings.mode === 'team') {
+        team = await this.joinTeam(round, walletAddress, teamName);
+      }
+
+      // Registered strategies are already parsed; free text goes through the AI parser
+      if (!isHuman) {
+        resolvedStrategy = await this.resolveJoinStrategy(roundId, walletAddress, { strategy, strategyId, licenseStrategyId });
+      }
+
+      // Re-check the round after the parse: the countdown may have started it, and concurrent joins may have filled it
+      latestRound = await this.getRound(roundId);
+      if (!latestRound) {
+        throw new Error('Round not found');
+      }
+      if (!['waiting', 'countdown'].includes(latestRound.status)) {
+        throw new Error(`Round is ${latestRound.status}, cannot join`);
+      }
+      if ((await redisService.sMembers(participantsKey)).length > latestRound.maxParticipants) {
+        throw new Error('Round is full');
+      }
+
+      // Paid rounds: the entry fee comes out of the wallet's internal balance last, so a failed join costs nothing
+      if (entryFee > 0) {
+        const feeEntry = await walletLedgerService.debit(walletAddress, entryFee, {
+          type: 'entry_fee',
+          roundId,
+          reference: `${roundId}:entry_fee`,
+          memo: `Entry fee for ${round.title}`
+        });
+
+        // The fee reference was already posted: this wallet paid (and joined) before
+        if (!feeEntry) {
+          throw new Error('Wallet already joined this round');
+        }
+      }
+    } catch (error) {
+      await redisService.sRem(participantsKey, walletAddress);
+      if (stageEntryKey) await redisService.sRem(stageEntryKey, walletAddress);
+      if (team) await this.leaveTeam(roundId, walletAddress, team);
+      if (resolvedStrategy?.isLicensed) await strategyManager.revokeLicense(walletAddress, roundId);
+      throw error;
+    }
+
+    // Secret for the participant's own controls (pause bot, flatten, swap, manual orders); only its hash is stored
+    const controlKey = crypto.randomBytes(24).toString('hex');
 
     // Create participant data
     const participant = {
       walletAddress,
+      controlKeyHash: this.hashControlKey(controlKey),
+      controls: { pauses: 0, swaps: 0, botPaused: false },
       username: username || `Player_${walletAddress.slice(-6)}`,
-      strategy: {
-        original: strategy,
-        parsed: parsedStrategy,
+      team: team ? team.name : null,
+      type: isHuman ? 'human' : 'ai',
+      entryFeePaid: entryFee,
+      strategy: isHuman ? {
+        id: null,
+        isLicensed: false,
+        original: null,
+        parsed: null,
+        sizing: null,
+        enabled: false // no AI signals, orders come from place-order
+      } : {
+        ...resolvedStrategy,
+        sizing: positionSizingService.resolveFromRiskText(resolvedStrategy.parsed.risk_management),
         enabled: true
       },
       portfolio: {
         cash: round.startingBalance,
-        positions: {}, // token -> { amount, avgPrice, currentValue, pnl }
+        positions: {}, // token -> { side, amount, avgPrice, totalInvested, margin, leverage, currentValue, pnl }
         totalValue: round.startingBalance,
         pnl: 0,
         pnlPercentage: 0,
+        realizedPnl: 0, // closed P&L net of fees and financing
+        unrealizedPnl: 0, // open positions marked to market
+        feesPaid: 0,
         maxDrawdown: 0,
         trades: 0,
         wins: 0,
         losses: 0,
-        winRate: 0
+        winRate: 0,
+        financingPaid: 0,
+        slippagePaid: 0,
+        liquidations: 0
       },
       joinedAt: new Date().toISOString(),
       lastUpdate: new Date().toISOString(),
       isActive: true
     };
 
-    // Store participant data
+    // Store participant data (the participants set entry was claimed above)
     await redisService.set(participantKey, JSON.stringify(participant));
     
-    // Add to participants set
-    await redisService.sAdd(`round:${roundId}:participants`, walletAddress);
+    // Re-read the round: other joins may have moved it into countdown while we were paying
+    latestRound = await this.getRound(roundId) || latestRound;
     
     // Update round stats
-    round.stats.totalParticipants += 1;
-    await redisService.set(`round:${roundId}`, JSON.stringify(round));
+    latestRound.stats.totalParticipants += 1;
+    if (latestRound.prizePool) {
+      latestRound.prizePool.entries += 1;
+      latestRound.prizePool.collected = walletLedgerService.roundAmount(latestRound.prizePool.collected + entryFee);
+    }
+    await redisService.set(`round:${roundId}`, JSON.stringify(latestRound));
 
     console.log(`👤 ${participant.username} (${walletAddress.slice(0, 8)}...) joined round ${roundId}`);
     
-    // Auto-start if conditions met
-    if (round.settings.autoStart && round.stats.totalParticipants >= round.settings.minParticipants) {
-      if (round.stats.totalParticipants === round.maxParticipants) {
-        setTimeout(() => this.startRound(roundId), 5000); // 5 second delay
-      }
+    // Start the lobby countdown, or adjust it if one is already running
+    if (latestRound.status === 'waiting' && this.shouldAutoStart(latestRound)) {
+      await this.startCountdown(latestRound);
+    } else if (latestRound.status === 'countdown') {
+      await this.adjustCountdown(latestRound);
     }
 
     // Emit event
-    this.emit('participantJoined', { roundId, participant, totalParticipants: round.stats.totalParticipants });
+    const publicParticipant = this.getPublicParticipant(participant);
+    this.emit('participantJoined', { roundId, participant: publicParticipant, totalParticipants: latestRound.stats.totalParticipants });
     
+    // The control key is only ever returned here
+    return { ...publicParticipant, controlKey };
+  }
+
+  /**
+   * Strategy a participant joins with: free text (parsed now), an owned strategy ID, or a licensed strategy ID
+   * Licensing records the license for this round; licensees never get the original text.
+   * @param {string} roundId - Round ID
+   * @param {string} walletAddress - Joining wallet
+   * @param {Object} options - { strategy, strategyId, licenseStrategyId }
+   * @returns {Object} { id, name, isLicensed, original, parsed }
+   */
+  async resolveJoinStrategy(roundId, walletAddress, { strategy, strategyId, licenseStrategyId }) {
+    if (licenseStrategyId) {
+      const license = await strategyManager.licenseStrategy(walletAddress, licenseStrategyId, roundId);
+      try {
+        const registered = await strategyManager.getStrategy(licenseStrategyId);
+        return {
+          id: registered.id,
+          name: registered.name,
+          isLicensed: true,
+          royaltyPercent: license.royaltyPercent,
+          original: null,
+          parsed: await strategyManager.getStrategyForExecution(licenseStrategyId)
+        };
+      } catch (error) {
+        await strategyManager.revokeLicense(walletAddress, roundId);
+        throw error;
+      }
+    }
+
+    if (strategyId) {
+      const registered = await strategyManager.getStrategy(strategyId);
+      if (registered.owner !== walletAddress) {
+        throw new Error('Strategy belongs to another wallet - use licenseStrategyId to license it');
+      }
+      if (!registered.isActive) {
+        throw new Error('Strategy is not active');
+      }
+
+      return {
+        id: registered.id,
+        name: registered.name,
+        isLicensed: false,
+        original: registered.originalText,
+        parsed: await strategyManager.getStrategyForExecution(strategyId)
+      };
+    }
+
+    console.log(`🧠 Parsing strategy for ${walletAddress.slice(0, 8)}...`);
+    return {
+      id: null,
+      name: null,
+      isLicensed: false,
+      original: strategy,
+      parsed: await groqService.parseStrategy(strategy)
+    };
+  }
+
+  // Participant as shown to clients: no key hash, and licensed strategies stay opaque
+  getPublicParticipant(participant) {
+    const { controlKeyHash, ...publicParticipant } = participant;
+
+    if (participant.strategy?.isLicensed) {
+      publicParticipant.strategy = {
+        id: participant.strategy.id,
+        name: participant.strategy.name,
+        isLicensed: true,
+        royaltyPercent: participant.strategy.royaltyPercent,
+        enabled: participant.strategy.enabled
+      };
+    }
+
+    return publicParticipant;
+  }
+
+  hashControlKey(controlKey) {
+    return crypto.createHash('sha256').update(String(controlKey)).digest('hex');
+  }
+
+  // Load a participant and check the control key issued at join
+  async authorizeParticipant(roundId, walletAddress, controlKey) {
+    const participantData = await redisService.get(`round:${roundId}:participant:${walletAddress}`);
+    if (!participantData) {
+      throw new Error('Wallet has not joined this round');
+    }
+
+    const participant = JSON.parse(participantData);
+    const expected = Buffer.from(participant.controlKeyHash || '', 'hex');
+    const provided = Buffer.from(this.hashControlKey(controlKey || ''), 'hex');
+
+    if (!controlKey || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new Error('Invalid participant key');
+    }
+
     return participant;
   }
 
+  // Round checks shared by the participant control actions
+  async getControllableRound(roundId, statuses = ['waiting', 'countdown', 'active', 'paused']) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    if (!statuses.includes(round.status)) {
+      throw new Error(`Round is ${round.status}, participant controls are closed`);
+    }
+
+    return round;
+  }
+
+  // Record a participant control change in their log and tell the room
+  async recordControlChange(roundId, participant, action, details = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      type: 'control',
+      action,
+      ...details,
+      executed: false
+    };
+
+    await this.appendParticipantLog(roundId, participant.walletAddress, entry);
+
+    console.log(`🎛️ ${participant.username} ${action} in round ${roundId}`);
+
+    // Details (e.g. strategy text) stay in the participant's own log
+    this.emit('participantControlChanged', { roundId, walletAddress: participant.walletAddress, action, timestamp: entry.timestamp });
+  }
+
+  // Participant kill switch: stop (or restart) their own bot's AI signals; exits and valuation keep running
+  async setBotPaused(roundId, walletAddress, controlKey, paused, reason = '') {
+    const round = await this.getControllableRound(roundId);
+
+    return this.withParticipantLock(roundId, walletAddress, async () => {
+      const participant = await this.authorizeParticipant(roundId, walletAddress, controlKey);
+      const participantKey = `round:${roundId}:participant:${walletAddress}`;
+
+      if (!participant.isActive) {
+        throw new Error('Participant is not active');
+      }
+
+      if (participant.type === 'human') {
+        throw new Error('Manual traders have no bot to pause');
+      }
+
+      participant.controls = participant.controls || { pauses: 0, swaps: 0, botPaused: false };
+
+      if (paused === participant.controls.botPaused) {
+        throw new Error(paused ? 'Bot is already paused' : 'Bot is not paused');
+      }
+
+      if (paused && participant.controls.pauses >= round.settings.maxBotPauses) {
+        throw new Error(round.settings.maxBotPauses > 0
+          ? `Pause limit reached (${round.settings.maxBotPauses} per round)`
+          : 'Pausing bots is disabled in this round');
+      }
+
+      if (paused) participant.controls.pauses += 1;
+      participant.controls.botPaused = paused;
+      participant.strategy.enabled = !paused;
+      participant.lastUpdate = new Date().toISOString();
+
+      await redisService.set(participantKey, JSON.stringify(participant));
+      await this.recordControlChange(roundId, participant, paused ? 'bot_paused' : 'bot_resumed', {
+        reason: reason || null,
+        pausesUsed: participant.controls.pauses,
+        maxBotPauses: round.settings.maxBotPauses
+      });
+
+      return participant.controls;
+    });
+  }
+
+  // Close every open position at market
+  async flattenPositions(roundId, walletAddress, controlKey) {
+    const round = await this.getControllableRound(roundId, ['active', 'paused']);
+
+    if (!round.settings.allowFlatten) {
+      throw new Error('Flattening positions is disabled in this round');
+    }
+
+    return this.withParticipantLock(roundId, walletAddress, async () => {
+      const participant = await this.authorizeParticipant(roundId, walletAddress, controlKey);
+      const participantKey = `round:${roundId}:participant:${walletAddress}`;
+      participant.roundId = roundId;
+
+      if (!participant.isActive) {
+        throw new Error('Participant is not active');
+      }
+
+      const fills = [];
+      const failed = [];
+      const snapshot = await this.getPriceSnapshot(roundId);
+
+      for (const token of Object.keys(participant.portfolio.positions)) {
+        try {
+          const marketData = snapshot.prices[token];
+          if (!marketData) {
+            failed.push(token);
+            continue;
+          }
+
+          const fill = this.closePosition(participant, token, marketData.price, 1,
+                                          { liquidity: marketData.liquidity, settings: round.settings });
+          if (fill) {
+            fills.push(fill);
+          }
+
+          // maxSlippage can leave part of a thin position open
+          if (!fill || participant.portfolio.positions[token]) {
+            failed.push(token);
+          }
+        } catch (error) {
+          console.error(`Flatten error for ${walletAddress} - ${token}:`, error.message);
+          failed.push(token);
+        }
+      }
+
+      participant.lastUpdate = new Date().toISOString();
+      await redisService.set(participantKey, JSON.stringify(participant));
+
+      for (const fill of fills) {
+        const entry = await fillLedgerService.record(roundId, walletAddress, fill, {
+          signal: fill.side.toUpperCase(),
+          reason: 'Positions flattened by participant',
+          source: 'control',
+          trigger: 'flatten',
+          snapshotTick: snapshot.tick
+        });
+        fill.tradeId = entry.tradeId;
+      }
+
+      await this.recordControlChange(roundId, participant, 'positions_flattened', { fills, remaining: failed });
+
+      // Refresh cash/totals for the leaderboard
+      await this.updatePortfolioValue(roundId, walletAddress, snapshot);
+
+      return { fills, remaining: failed };
+    });
+  }
+
+  // Replace the participant's strategy mid-round; the new text goes through the AI parser
+  async swapStrategy(roundId, walletAddress, controlKey, strategy) {
+    if (!strategy || typeof strategy !== 'string' || !strategy.trim()) {
+      throw new Error('Replacement strategy is required');
+    }
+
+    const round = await this.getControllableRound(roundId);
+
+    return this.withParticipantLock(roundId, walletAddress, async () => {
+      const participant = await this.authorizeParticipant(roundId, walletAddress, controlKey);
+      const participantKey = `round:${roundId}:participant:${walletAddress}`;
+
+      if (!participant.isActive) {
+        throw new Error('Participant is not active');
+      }
+
+      // Human vs AI is fixed at join; a human who hands over to a bot would skew that comparison
+      if (participant.type === 'human') {
+        throw new Error('Manual traders cannot swap in a strategy');
+      }
+
+      participant.controls = participant.controls || { pauses: 0, swaps: 0, botPaused: false };
+
+      if (participant.controls.swaps >= round.settings.maxStrategySwaps) {
+        throw new Error(round.settings.maxStrategySwaps > 0
+          ? `Strategy swap limit reached (${round.settings.maxStrategySwaps} per round)`
+          : 'Strategy swaps are disabled in this round');
+      }
+
+      console.log(`🧠 Parsing replacement strategy for ${walletAddress.slice(0, 8)}...`);
+      const parsedStrategy = await groqService.parseStrategy(strategy);
+
+      const previous = participant.strategy.original;
+      const previousStrategyId = participant.strategy.id;
+
+      // Swapping away from a licensed strategy ends the license: the owner earns no royalty on the replacement's profit
+      if (participant.strategy.isLicensed) {
+        await strategyManager.revokeLicense(walletAddress, roundId);
+      }
+
+      participant.controls.swaps += 1;
+      participant.strategy = {
+        id: null, // a swapped-in strategy is free text, not a registered one
+        isLicensed: false,
+        original: strategy,
+        parsed: parsedStrategy,
+        sizing: positionSizingService.resolveFromRiskText(parsedStrategy.risk_management),
+        enabled: !participant.controls.botPaused // a paused bot stays paused
+      };
+      participant.lastUpdate = new Date().toISOString();
+
+      await redisService.set(participantKey, JSON.stringify(participant));
+      await this.recordControlChange(roundId, participant, 'strategy_swapped', {
+        previousStrategy: previous,
+        previousStrategyId,
+        newStrategy: strategy,
+        swapsUsed: participant.controls.swaps,
+        maxStrategySwaps: round.settings.maxStrategySwaps
+      });
+
+      return { strategy: participant.strategy, controls: participant.controls };
+    });
+  }
+
+  // Team key used in Redis: names are matched case- and whitespace-insensitively
+  getTeamKey(teamName) {
+    return teamName.trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  // Add a wallet to a team, creating the team if needed and enforcing size limits
+  async joinTeam(round, walletAddress, teamName) {
+    if (!teamName || typeof teamName !== 'string' || !teamName.trim()) {
+      throw new Error('Team name is required in team rounds');
+    }
+
+    const key = this.getTeamKey(teamName);
+    const teams = await redisService.hGetAll(`round:${round.id}:teams`);
+
+    if (!teams[key]) {
+      if (round.settings.maxTeams && Object.keys(teams).length >= round.settings.maxTeams) {
+        throw new Error('Round has reached its team limit');
+      }
+      await redisService.hSet(`round:${round.id}:teams`, key, teamName.trim());
+    }
+
+    const membersKey = `round:${round.id}:team:${key}:members`;
+    await redisService.sAdd(membersKey, walletAddress);
+
+    const members = await redisService.sMembers(membersKey);
+    if (members.length > round.settings.maxTeamSize) {
+      await this.leaveTeam(round.id, walletAddress, { key });
+      throw new Error(`Team ${teams[key] || teamName.trim()} is full (max ${round.settings.maxTeamSize})`);
+    }
+
+    return { key, name: teams[key] || teamName.trim() };
+  }
+
+  // Undo a team seat claim; an empty team is removed
+  async leaveTeam(roundId, walletAddress, team) {
+    const membersKey = `round:${roundId}:team:${team.key}:members`;
+    await redisService.sRem(membersKey, walletAddress);
+
+    const members = await redisService.sMembers(membersKey);
+    if (members.length === 0) {
+      await redisService.hDel(`round:${roundId}:teams`, team.key);
+    }
+  }
+
+  // Whether a waiting round meets its auto-start conditions
+  shouldAutoStart(round) {
+    return Boolean(round.settings.autoStart) &&
+      round.stats.totalParticipants >= round.settings.minParticipants;
+  }
+
+  // Validate, record and persist a round state change, then announce it
+  async transitionRound(round, to, details = {}) {
+    const event = roundStateMachine.transition(round, to, details);
+
+    await redisService.set(`round:${round.id}`, JSON.stringify(round));
+
+    // Emit event
+    this.emit('roundStateChanged', { ...event, round });
+
+    return event;
+  }
+
+  // Lobby countdown length for a round (a full room uses the short countdown)
+  getCountdownDuration(round) {
+    const countdownMs = round.settings.countdownDuration || this.roundDefaults.countdownDuration;
+    const fullRoomMs = round.settings.fullRoomCountdown || this.roundDefaults.fullRoomCountdown;
+
+    return round.stats.totalParticipants >= round.maxParticipants
+      ? Math.min(countdownMs, fullRoomMs)
+      : countdownMs;
+  }
+
+  // Move a waiting round into its pre-start countdown
+  async startCountdown(round) {
+    const countdownMs = this.getCountdownDuration(round);
+    round.countdownEndsAt = new Date(Date.now() + countdownMs).toISOString();
+
+    await this.transitionRound(round, 'countdown', { endsAt: round.countdownEndsAt });
+    this.armCountdown(round.id, round.countdownEndsAt);
+
+    console.log(`⏳ Round ${round.id} starting in ${countdownMs / 1000}s`);
+  }
+
+  // Reset, extend or shorten a running countdown after another player joins
+  async adjustCountdown(round) {
+    const countdownMs = round.settings.countdownDuration || this.roundDefaults.countdownDuration;
+    const mode = round.settings.countdownOnJoin || this.roundDefaults.countdownOnJoin;
+    const extensionMs = round.settings.countdownExtension || this.roundDefaults.countdownExtension;
+
+    const remainingMs = Math.max(0, new Date(round.countdownEndsAt) - Date.now());
+    let nextRemainingMs = remainingMs;
+
+    if (round.stats.totalParticipants >= round.maxParticipants) {
+      nextRemainingMs = Math.min(remainingMs, this.getCountdownDuration(round));
+    } else if (mode === 'reset') {
+      nextRemainingMs = countdownMs;
+    } else if (mode === 'extend') {
+      nextRemainingMs = Math.min(remainingMs + extensionMs, countdownMs);
+    }
+
+    if (nextRemainingMs === remainingMs) return;
+
+    round.countdownEndsAt = new Date(Date.now() + nextRemainingMs).toISOString();
+    await redisService.set(`round:${round.id}`, JSON.stringify(round));
+
+    this.armCountdown(round.id, round.countdownEndsAt);
+
+    console.log(`⏳ Round ${round.id} countdown now ${Math.ceil(nextRemainingMs / 1000)}s (${round.stats.totalParticipants} players)`);
+  }
+
+  // (Re)schedule the start of a round in countdown and tick until then
+  armCountdown(roundId, endsAt) {
+    this.clearCountdown(roundId);
+
+    const endsAtMs = new Date(endsAt).getTime();
+    const tick = () => {
+      const remainingMs = Math.max(0, endsAtMs - Date.now());
+      this.emit('countdownTick', {
+        roundId,
+        endsAt: new Date(endsAtMs).toISOString(),
+        secondsRemaining: Math.ceil(remainingMs / 1000)
+      });
+    };
+
+    const timeoutId = setTimeout(() => {
+      this.clearCountdown(roundId);
+      this.startRound(roundId).catch(error => console.error(`Auto-start error for round ${roundId}:`, error.message));
+    }, Math.max(0, endsAtMs - Date.now()));
+
+    const intervalId = setInterval(tick, this.roundDefaults.countdownTickInterval);
+    tick();
+
+    this.countdownTimers.set(roundId, { timeoutId, intervalId });
+  }
+
+  clearCountdown(roundId) {
+    const timers = this.countdownTimers.get(roundId);
+    if (timers) {
+      clearTimeout(timers.timeoutId);
+      clearInterval(timers.intervalId);
+      this.countdownTimers.delete(roundId);
+    }
+  }
+
+  // Reconcile rounds after a restart: end overdue rounds, re-arm execution loops, re-check auto-starts
+  async recoverRounds() {
+    const recovery = {
+      timestamp: new Date().toISOString(),
+      ended: [],
+      settled: [],
+      resumed: [],
+      autoStarted: [],
+      removed: [],
+      failed: []
+    };
+
+    const runningRoundIds = await redisService.sMembers('rounds:running');
+
+    for (const roundId of runningRoundIds) {
+      if (this.activeExecutions.has(roundId)) continue;
+
+      try {
+        const round = await this.getRound(roundId);
+
+        // Round data expired while we were down
+        if (!round) {
+          await redisService.sRem('rounds:running', roundId);
+          recovery.removed.push(roundId);
+          continue;
+        }
+
+        if (round.status === 'settling') {
+          // Crashed mid-settlement: finish it (payouts and royalties are idempotent)
+          const settled = await this.endRound(roundId, { resumeSettlement: true });
+          if (settled.status !== 'finished') {
+            throw new Error(`Settlement left the round ${settled.status}`);
+          }
+          recovery.settled.push(roundId);
+        } else if (!round.endTime || new Date() >= new Date(round.endTime)) {
+          await this.endRound(roundId);
+          recovery.ended.push(roundId);
+        } else {
+          this.startStrategyExecution(roundId, round);
+          recovery.resumed.push(roundId);
+        }
+      } catch (error) {
+        console.error(`Recovery error for running round ${roundId}:`, error);
+        recovery.failed.push({ roundId, error: error.message });
+      }
+    }
+
+    const waitingRoundIds = await redisService.sMembers('rounds:active');
+
+    for (const roundId of waitingRoundIds) {
+      try {
+        const round = await this.getRound(roundId);
+
+        if (!round) {
+          await redisService.sRem('rounds:active', roundId);
+          recovery.removed.push(roundId);
+          continue;
+        }
+
+        // Countdown timers do not survive a restart
+        if (round.status === 'countdown') {
+          this.armCountdown(roundId, round.countdownEndsAt);
+          recovery.autoStarted.push(roundId);
+        } else if (round.status === 'waiting' && this.shouldAutoStart(round)) {
+          await this.startCountdown(round);
+          recovery.autoStarted.push(roundId);
+        }
+      } catch (error) {
+        console.error(`Recovery error for waiting round ${roundId}:`, error);
+        recovery.failed.push({ roundId, error: error.message });
+      }
+    }
+
+    await redisService.hSet('rounds:recovery', recovery.timestamp, JSON.stringify(recovery));
+
+    console.log(`♻️ Round recovery: ${recovery.resumed.length} resumed, ${recovery.ended.length} ended, ` +
+                `${recovery.settled.length} settled, ` +
+                `${recovery.autoStarted.length} auto-started, ${recovery.removed.length} removed`);
+
+    // Emit event
+    this.emit('roundsRecovered', recovery);
+
+    return recovery;
+  }
+
   // Start round execution
   async startRound(roundId) {
     const roundData = await redisService.get(`round:${roundId}`);
@@ -166,20 +858,26 @@ class TradingRoundManager extends EventEmitter {
 
     const round = JSON.parse(roundData);
     
-    if (round.status !== 'waiting') {
-      throw new Error(`Round already ${round.status}`);
-    }
+    roundStateMachine.assertTransition(round, 'active');
 
     if (round.stats.totalParticipants < round.settings.minParticipants) {
       throw new Error(`Need at least ${round.settings.minParticipants} participants`);
     }
 
+    this.clearCountdown(roundId);
+
     // Update round status
-    round.status = 'active';
     round.startTime = new Date().toISOString();
     round.endTime = new Date(Date.now() + round.duration).toISOString();
+    round.countdownEndsAt = null;
     
-    await redisService.set(`round:${roundId}`, JSON.stringify(round));
+    // Buy-and-hold benchmarks start from the same prices as the players
+    const startSnapshot = await this.takePriceSnapshot(roundId, round);
+    round.benchmarks = benchmarkService.build(round, startSnapshot);
+    await this.markBenchmarks(roundId, round, startSnapshot);
+    
+    await this.transitionRound(round, 'active');
+    await this.extendRoundTtl(round);
     
     // Move from active to running
     await redisService.sRem('rounds:active', roundId);
@@ -196,31 +894,64 @@ class TradingRoundManager extends EventEmitter {
     return round;
   }
 
-  // Execute strategies for all participants
+  /**
+   * Run the round's execution ticks
+   * A tick that fires while the previous one is still running is skipped, or with tickOverlap 'queue'
+   * runs once as soon as it finishes. Participants run at most maxConcurrency at a time, and AI signals
+   * that are not back within tickBudget are dropped (exits and valuation still run)
+   */
   async startStrategyExecution(roundId, round) {
+    // Survives pause/resume so a resumed round cannot overlap a tick still in flight
+    const state = this.tickStates.get(roundId) || { running: false, queued: false, skipped: 0, ending: false };
+    this.tickStates.set(roundId, state);
+
     const executeStrategies = async () => {
       try {
-        // Check if round should end
-        if (new Date() >= new Date(round.endTime)) {
-          await this.endRound(roundId);
-          return;
-        }
-
         console.log(`⚡ Executing strategies for round ${roundId}`);
         
+        const startedAt = Date.now();
+        
         // Get all participants
         const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
         
-        // Execute each participant's strategy
-        const promises = participantAddresses.map(address => 
-          this.executeParticipantStrategy(roundId, address)
-        );
+        // One set of prices for every signal, fill and valuation in this tick
+        const snapshot = await this.takePriceSnapshot(roundId, round);
+        await this.markBenchmarks(roundId, round, snapshot);
         
-        await Promise.all(promises);
+        const tick = {
+          deadline: startedAt + (round.settings.tickBudget || round.settings.executionInterval),
+          signalsProduced: 0,
+          signalsDropped: 0,
+          signalErrors: 0
+        };
+        
+        // Execute each participant's strategy, a few at a time
+        await this.runWithConcurrency(participantAddresses, round.settings.maxConcurrency || this.roundDefaults.maxConcurrency, address =>
+          this.executeParticipantStrategy(roundId, address, snapshot, tick)
+        );
         
         // Update leaderboard
         await this.updateLeaderboard(roundId);
         
+        await this.recordTickMetrics(roundId, {
+          tick: snapshot.tick,
+          startedAt: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt,
+          participants: participantAddresses.length,
+          signalsProduced: tick.signalsProduced,
+          signalsDropped: tick.signalsDropped,
+          signalErrors: tick.signalErrors,
+          overBudget: Date.now() > tick.deadline,
+          skippedBefore: state.skipped
+        });
+        state.skipped = 0;
+        
+        // Knock out the bottom of the leaderboard at elimination checkpoints
+        if (round.settings.mode === 'elimination') {
+          const finished = await this.runEliminationCheckpoint(roundId);
+          if (finished) return;
+        }
+        
         // Broadcast updates (now uses console log instead of Redis pub/sub)
         await this.broadcastRoundUpdate(roundId);
         
@@ -229,16 +960,151 @@ class TradingRoundManager extends EventEmitter {
       }
     };
 
-    // Execute immediately
-    await executeStrategies();
+    const runTick = async () => {
+      // Checked before the overlap guard, so a slow or hung tick cannot keep the round running past its end
+      if (new Date() >= new Date(round.endTime)) {
+        if (state.ending) return;
+        state.ending = true;
+        try {
+          await this.endRound(roundId);
+        } catch (error) {
+          state.ending = false;
+          console.error(`End round error for ${roundId}:`, error);
+        }
+        return;
+      }
+
+      if (state.running) {
+        if (round.settings.tickOverlap === 'queue') {
+          state.queued = true;
+        } else {
+          state.skipped++;
+          console.warn(`⏭️ Skipping tick for round ${roundId}: previous tick still running`);
+        }
+        return;
+      }
+
+      state.running = true;
+      try {
+        await executeStrategies();
+      } finally {
+        state.running = false;
+      }
+
+      if (state.queued && this.activeExecutions.has(roundId)) {
+        state.queued = false;
+        await runTick();
+      }
+    };
+
+    // Execute immediately
+    await runTick();
+    
+    // The round may have been paused, cancelled or ended during the first tick
+    const currentRound = await this.getRound(roundId);
+    if (!currentRound || currentRound.status !== 'active') return;
     
     // Set up interval
-    const intervalId = setInterval(executeStrategies, round.settings.executionInterval);
+    const intervalId = setInterval(runTick, round.settings.executionInterval);
     this.activeExecutions.set(roundId, intervalId);
   }
 
+  // Settle with the promise, or with this.deadlineExceeded if the deadline passes first (the promise is left to finish on its own)
+  async withDeadline(promise, deadline) {
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve(this.deadlineExceeded), Math.max(deadline - Date.now(), 0));
+    });
+
+    promise.catch(() => {}); // a late failure has nobody left to report to
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Run worker over items with at most limit in flight
+  async runWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    const runners = Array.from({ length: Math.min(Math.max(limit, 1), queue.length) }, async () => {
+      while (queue.length > 0) {
+        await worker(queue.shift());
+      }
+    });
+
+    await Promise.all(runners);
+  }
+
+  /**
+   * Store one tick's execution metrics and roll them into round.executionStats
+   * @param {string} roundId - Round ID
+   * @param {Object} metrics - { tick, startedAt, durationMs, participants, signalsProduced, signalsDropped, signalErrors, overBudget, skippedBefore }
+   */
+  async recordTickMetrics(roundId, metrics) {
+    await redisService.hSet(`round:${roundId}:tickMetrics`, String(metrics.tick), JSON.stringify(metrics));
+
+    const round = await this.getRound(roundId);
+    if (!round) return;
+
+    const stats = round.executionStats || {
+      ticks: 0,
+      skippedTicks: 0,
+      overBudgetTicks: 0,
+      totalDurationMs: 0,
+      maxDurationMs: 0,
+      signalsProduced: 0,
+      signalsDropped: 0,
+      signalErrors: 0
+    };
+
+    stats.ticks++;
+    stats.skippedTicks += metrics.skippedBefore;
+    stats.overBudgetTicks += metrics.overBudget ? 1 : 0;
+    stats.totalDurationMs += metrics.durationMs;
+    stats.maxDurationMs = Math.max(stats.maxDurationMs, metrics.durationMs);
+    stats.averageDurationMs = stats.totalDurationMs / stats.ticks;
+    stats.signalsProduced += metrics.signalsProduced;
+    stats.signalsDropped += metrics.signalsDropped;
+    stats.signalErrors += metrics.signalErrors;
+    stats.lastTick = metrics;
+
+    round.executionStats = stats;
+    await redisService.set(`round:${roundId}`, JSON.stringify(round));
+  }
+
+  // Per-tick execution metrics, oldest first
+  async getTickMetrics(roundId, limit = 100) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    const ticks = Object.values(await redisService.hGetAll(`round:${roundId}:tickMetrics`))
+      .map(data => JSON.parse(data))
+      .sort((a, b) => a.tick - b.tick)
+      .slice(-limit);
+
+    return {
+      roundId,
+      settings: {
+        executionInterval: round.settings.executionInterval,
+        tickBudget: round.settings.tickBudget,
+        maxConcurrency: round.settings.maxConcurrency,
+        tickOverlap: round.settings.tickOverlap
+      },
+      stats: round.executionStats || null,
+      ticks
+    };
+  }
+
   // Execute individual participant strategy
-  async executeParticipantStrategy(roundId, walletAddress) {
+  async executeParticipantStrategy(roundId, walletAddress, snapshot, tick = null) {
+    // Manual orders for the same wallet wait for the tick to finish
+    return this.withParticipantLock(roundId, walletAddress, () => this.runParticipantTick(roundId, walletAddress, snapshot, tick));
+  }
+
+  async runParticipantTick(roundId, walletAddress, snapshot, tick = null) {
     try {
       const participantKey = `round:${roundId}:participant:${walletAddress}`;
       const participantData = await redisService.get(participantKey);
@@ -246,10 +1112,15 @@ class TradingRoundManager extends EventEmitter {
       if (!participantData) return;
       
       const participant = JSON.parse(participantData);
-      if (!participant.isActive || !participant.strategy.enabled) return;
+      if (!participant.isActive) return;
+
+      // Fill any resting stop-loss / take-profit orders before new signals
+      await this.checkExitOrders(roundId, walletAddress, snapshot);
 
+      // Humans and paused bots get no AI signals, but exits and valuation still run every tick
       const strategy = participant.strategy.parsed;
-      const allowedTokens = strategy.suggested_base_tokens || 
+      const allowedTokens = !participant.strategy.enabled || !strategy ? [] :
+                           strategy.suggested_base_tokens || 
                            strategy.assets || 
                            ['ETH', 'TOSHI', 'DEGEN'];
 
@@ -258,22 +1129,39 @@ class TradingRoundManager extends EventEmitter {
         if (!baseTokensService.isBaseToken(token)) continue;
 
         try {
-          // Get market data
-          const marketData = await baseTokensService.getBaseTokenPrice(token);
+          // Market data comes from the tick's snapshot (tokens outside it are not tradable this tick)
+          const marketData = snapshot.prices[token];
+          if (!marketData) continue;
           
-          // Generate signal
-          const signal = await groqService.analyzeMarketConditions(marketData, strategy);
+          // Out of tick budget: skip the AI call, and drop signals that come back too late
+          if (tick && Date.now() >= tick.deadline) {
+            tick.signalsDropped++;
+            continue;
+          }
+          
+          // Generate signal, giving up on the AI call once the tick budget runs out
+          const analysis = groqService.analyzeMarketConditions(marketData, strategy);
+          const signal = tick ? await this.withDeadline(analysis, tick.deadline) : await analysis;
+          
+          if (tick) {
+            if (signal === this.deadlineExceeded || Date.now() >= tick.deadline) {
+              tick.signalsDropped++;
+              continue;
+            }
+            tick.signalsProduced++;
+          }
           
           // Process signal
           await this.processSignal(roundId, walletAddress, token, signal, marketData);
           
         } catch (error) {
+          if (tick) tick.signalErrors++;
           console.error(`Signal error for ${walletAddress} - ${token}:`, error.message);
         }
       }
 
       // Update portfolio value
-      await this.updatePortfolioValue(roundId, walletAddress);
+      await this.updatePortfolioValue(roundId, walletAddress, snapshot);
       
     } catch (error) {
       console.error(`Strategy execution error for ${walletAddress}:`, error);
@@ -298,7 +1186,9 @@ class TradingRoundManager extends EventEmitter {
       
       const signalType = signal.signal?.toUpperCase();
       const price = marketData.price;
+      const liquidity = marketData.liquidity;
       const confidence = signal.confidence || 5;
+      const position = participant.portfolio.positions[token];
       
       // Log signal
       const logEntry = {
@@ -308,205 +1198,790 @@ class TradingRoundManager extends EventEmitter {
         price,
         confidence,
         reason: signal.reason || 'AI analysis',
+        source: signal.source || 'ai',
+        snapshotTick: marketData.snapshotTick || null,
         executed: false
       };
 
-      // Execute trade based on signal
+      // Execute trade based on signal: BUY covers an open short, SELL opens one when flat
       if (signalType === 'BUY') {
-        const success = await this.executeBuyOrder(participant, token, price, confidence, signal);
-        logEntry.executed = success;
+        const fill = position?.side === 'short'
+          ? await this.executeCoverOrder(participant, token, price, signal, liquidity)
+          : await this.executeBuyOrder(participant, token, price, confidence, signal, liquidity);
+        logEntry.executed = Boolean(fill);
+        if (fill) logEntry.fill = fill;
       } else if (signalType === 'SELL') {
-        const success = await this.executeSellOrder(participant, token, price, signal);
-        logEntry.executed = success;
+        const fill = position && position.side !== 'short'
+          ? await this.executeSellOrder(participant, token, price, signal, liquidity)
+          : await this.executeShortOrder(participant, token, price, confidence, signal, liquidity);
+        logEntry.executed = Boolean(fill);
+        if (fill) logEntry.fill = fill;
       }
 
       // Store updated participant
       await redisService.set(participantKey, JSON.stringify(participant));
       
       // Store trade log
-      await redisService.hSet(`round:${roundId}:logs:${walletAddress}`, 
-                             Date.now().toString(), 
-                             JSON.stringify(logEntry));
+      await this.appendParticipantLog(roundId, walletAddress, logEntry);
+      
+      return logEntry;
                              
     } catch (error) {
       console.error(`Process signal error for ${walletAddress}:`, error);
     }
   }
 
-  // Execute buy order
-  async executeBuyOrder(participant, token, price, confidence, signal) {
-    try {
-      // Get round data to access settings
-      const roundData = await redisService.get(`round:${participant.roundId || 'unknown'}`);
-      let round = { settings: { maxPositionSize: 0.3, tradingFee: 0.001 } }; // Default settings
-      
-      if (roundData) {
-        round = JSON.parse(roundData);
+  // Run tasks for one participant one at a time (ticks and manual orders both rewrite the portfolio)
+  withParticipantLock(roundId, walletAddress, task) {
+    const key = `${roundId}:${walletAddress}`;
+    const previous = this.participantLocks.get(key) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.catch(() => {});
+
+    this.participantLocks.set(key, settled);
+    settled.then(() => {
+      if (this.participantLocks.get(key) === settled) this.participantLocks.delete(key);
+    });
+
+    return next;
+  }
+
+  /**
+   * Place a market order for a participant in a manual-trading round
+   * Orders go through processSignal, so allowedTokens, maxPositionSize, fees, slippage and margin rules all apply
+   * @param {string} roundId - Round ID
+   * @param {string} walletAddress - Participant wallet
+   * @param {string} controlKey - Key issued when the wallet joined
+   * @param {Object} order - { token, side: 'buy'|'sell', amount (USD, opening orders), fraction (0-1, closing sells), leverage, stopLoss, takeProfit }
+   * @returns {Object} Log entry with the fill, executed = false when the order could not be filled
+   */
+  async placeManualOrder(roundId, walletAddress, controlKey, order = {}) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    if (!round.settings.manualTrading) {
+      throw new Error('Manual trading is not enabled for this round');
+    }
+
+    if (round.status !== 'active') {
+      throw new Error(`Round is ${round.status}, cannot place orders`);
+    }
+
+    const token = (order.token || '').toUpperCase();
+    if (!round.settings.allowedTokens.includes(token)) {
+      throw new Error(`${token || 'Token'} is not tradable in this round`);
+    }
+
+    const side = (order.side || '').toLowerCase();
+    if (!['buy', 'sell'].includes(side)) {
+      throw new Error('Order side must be buy or sell');
+    }
+
+    const amount = order.amount !== undefined ? parseFloat(order.amount) : undefined;
+    if (amount !== undefined && !(amount > 0)) {
+      throw new Error('Order amount must be a positive USD value');
+    }
+
+    return this.withParticipantLock(roundId, walletAddress, async () => {
+      const participant = await this.authorizeParticipant(roundId, walletAddress, controlKey);
+      if (!participant.isActive) {
+        throw new Error(participant.eliminated ? 'Participant has been eliminated' : 'Participant is not active');
       }
-      
-      // Calculate position size based on confidence
-      const maxPositionValue = participant.portfolio.cash * round.settings.maxPositionSize;
-      const confidenceMultiplier = Math.min(confidence / 10, 1);
-      const positionValue = maxPositionValue * confidenceMultiplier;
-      
-      if (positionValue < participant.portfolio.cash * 0.05) { // Minimum 5%
-        return false;
+
+      // Bots trade through their strategy only; a hand-placed order would blur the human vs AI results
+      if (participant.type !== 'human') {
+        throw new Error('Only manual traders can place orders');
       }
 
-      const fee = positionValue * round.settings.tradingFee;
-      const totalCost = positionValue + fee;
-      
-      if (totalCost > participant.portfolio.cash) {
-        return false;
+      // Manual orders fill at the current tick's snapshot, like every bot in the round
+      const snapshot = await this.getPriceSnapshot(roundId);
+      const marketData = snapshot.prices[token];
+      if (!marketData) {
+        throw new Error(`No price for ${token} in the current snapshot`);
       }
 
-      const amount = positionValue / price;
-      
-      // Update portfolio
-      participant.portfolio.cash -= totalCost;
-      
-      if (!participant.portfolio.positions[token]) {
-        participant.portfolio.positions[token] = {
-          amount: 0,
-          avgPrice: 0,
-          totalInvested: 0
-        };
+      const logEntry = await this.processSignal(roundId, walletAddress, token, {
+        signal: side.toUpperCase(),
+        confidence: 10,
+        position_value: amount, // USD margin to post; still capped by maxPositionSize
+        sell_fraction: order.fraction,
+        leverage: order.leverage,
+        stop_loss: order.stopLoss,
+        take_profit: order.takeProfit,
+        reason: 'Manual order',
+        source: 'manual'
+      }, marketData);
+
+      if (!logEntry) {
+        throw new Error('Order failed');
       }
-      
-      const position = participant.portfolio.positions[token];
-      const newAmount = position.amount + amount;
-      const newInvested = position.totalInvested + positionValue;
-      
-      position.avgPrice = newInvested / newAmount;
-      position.amount = newAmount;
-      position.totalInvested = newInvested;
-      
-      participant.portfolio.trades++;
-      
-      return true;
+
+      this.emit('manualOrderPlaced', { roundId, walletAddress, order: logEntry });
+
+      return logEntry;
+    });
+  }
+
+  // Execute buy order
+  async executeBuyOrder(participant, token, price, confidence, signal, liquidity) {
+    try {
+      return await this.openPosition(participant, token, 'long', price, confidence, signal, liquidity);
     } catch (error) {
       console.error('Buy order execution error:', error);
       return false;
     }
   }
 
-  // Execute sell order
-  async executeSellOrder(participant, token, price, signal) {
+  // Execute short order (sell borrowed tokens)
+  async executeShortOrder(participant, token, price, confidence, signal, liquidity) {
+    try {
+      return await this.openPosition(participant, token, 'short', price, confidence, signal, liquidity);
+    } catch (error) {
+      console.error('Short order execution error:', error);
+      return false;
+    }
+  }
+
+  // Round settings used when filling orders, with defaults if the round is gone
+  async getExecutionSettings(roundId) {
+    const roundData = await redisService.get(`round:${roundId || 'unknown'}`);
+    let round = { settings: { maxPositionSize: 0.3, ...feeService.getSettings() } }; // Default settings
+    
+    if (roundData) {
+      round = JSON.parse(roundData);
+    }
+    
+    return round.settings;
+  }
+
+  // Open or add to a long/short position, posting sized cash as margin. Returns the fill or false
+  async openPosition(participant, token, side, price, confidence, signal, liquidity) {
+    const settings = await this.getExecutionSettings(participant.roundId);
+    
+    const marginSettings = marginService.getSettings(settings);
+    if (side === 'short' && !marginSettings.allowShorts) {
+      return false;
+    }
+    
+    const existing = participant.portfolio.positions[token];
+    if (existing && (existing.side || 'long') !== side) {
+      return false;
+    }
+    
+    // Strategy's own sizing rules win over the round default
+    const sizing = positionSizingService.getSettings({
+      ...settings.positionSizing,
+      ...participant.strategy?.sizing
+    });
+    
+    let positionValue;
+    
+    if (signal?.source === 'manual' && signal.position_value !== undefined) {
+      // Manual orders ask for a USD size, still capped by maxPositionSize
+      positionValue = Math.min(parseFloat(signal.position_value), participant.portfolio.cash * settings.maxPositionSize);
+    } else {
+      positionValue = positionSizingService.calculatePositionValue({
+        model: sizing.model,
+        settings: sizing,
+        cash: participant.portfolio.cash,
+        maxPositionSize: settings.maxPositionSize,
+        confidence,
+        price,
+        signal,
+        priceSeries: await this.getPriceSeries(participant.roundId, token)
+      });
+    }
+    
+    if (positionValue <= 0) {
+      return false;
+    }
+
+    // Sized value is the margin posted; leverage scales the exposure
+    const leverage = marginService.resolveLeverage(signal?.leverage, marginSettings.maxLeverage);
+    
+    // Longs buy from the pool, shorts sell borrowed tokens into it
+    const quote = slippageService.quote(side === 'short' ? 'sell' : 'buy', price, liquidity,
+                                        positionValue * leverage, slippageService.getSettings(settings));
+    if (!quote) {
+      return false;
+    }
+    
+    const amount = quote.notional / price;
+    const notional = amount * quote.executionPrice;
+    const margin = notional / leverage;
+    const fees = feeService.calculate(notional, feeService.getSettings(settings));
+    const fee = fees.total;
+    const totalCost = margin + fee;
+    
+    if (totalCost > participant.portfolio.cash) {
+      return false;
+    }
+    
+    // Update portfolio; the opening fee is realised straight away
+    participant.portfolio.cash -= totalCost;
+    participant.portfolio.feesPaid = (participant.portfolio.feesPaid || 0) + fee;
+    participant.portfolio.realizedPnl = (participant.portfolio.realizedPnl || 0) - fee;
+    participant.portfolio.slippagePaid = (participant.portfolio.slippagePaid || 0) + Math.abs(notional - quote.notional);
+    
+    if (!participant.portfolio.positions[token]) {
+      participant.portfolio.positions[token] = {
+        side,
+        amount: 0,
+        avgPrice: 0,
+        totalInvested: 0,
+        margin: 0,
+        financingPaid: 0,
+        lastFinancedAt: new Date().toISOString()
+      };
+    }
+    
+    const position = participant.portfolio.positions[token];
+    const newAmount = position.amount + amount;
+    const newInvested = position.totalInvested + notional;
+    
+    position.margin = marginService.getMargin(position) + margin;
+    position.avgPrice = newInvested / newAmount;
+    position.amount = newAmount;
+    position.totalInvested = newInvested;
+    position.leverage = newInvested / position.margin;
+
+    // Latest signal's protective levels replace any previous ones
+    this.attachExitOrders(position, price, signal);
+
+    participant.portfolio.trades++;
+    
+    return {
+      token,
+      action: 'open',
+      side: side === 'short' ? 'sell' : 'buy',
+      quantity: amount,
+      quotedPrice: price,
+      executionPrice: quote.executionPrice,
+      slippage: quote.slippage,
+      fee,
+      fees,
+      realizedPnl: -fee,
+      partial: quote.partial
+    };
+  }
+
+  // Execute sell order (close a long)
+  async executeSellOrder(participant, token, price, signal, liquidity) {
     try {
       const position = participant.portfolio.positions[token];
-      if (!position || position.amount <= 0) {
+      if (!position || position.side === 'short') {
         return false;
       }
 
-      // Sell entire position
-      const saleValue = position.amount * price;
-      const fee = saleValue * 0.001; // Trading fee
-      const netProceeds = saleValue - fee;
-      
-      // Calculate P&L
-      const pnl = netProceeds - position.totalInvested;
-      
-      // Update portfolio
-      participant.portfolio.cash += netProceeds;
-      
-      if (pnl > 0) {
-        participant.portfolio.wins++;
-      } else {
-        participant.portfolio.losses++;
-      }
-      
-      // Remove position
-      delete participant.portfolio.positions[token];
-      participant.portfolio.trades++;
-      
-      return true;
+      const settings = await this.getExecutionSettings(participant.roundId);
+
+      // Sell the requested fraction of the position (whole position by default)
+      return this.closePosition(participant, token, price, this.normalizeSellFraction(signal?.sell_fraction),
+                                { liquidity, settings });
     } catch (error) {
       console.error('Sell order execution error:', error);
       return false;
     }
   }
 
+  // Execute cover order (buy back a short)
+  async executeCoverOrder(participant, token, price, signal, liquidity) {
+    try {
+      const position = participant.portfolio.positions[token];
+      if (!position || position.side !== 'short') {
+        return false;
+      }
+
+      const settings = await this.getExecutionSettings(participant.roundId);
+
+      return this.closePosition(participant, token, price, 1, { liquidity, settings });
+    } catch (error) {
+      console.error('Cover order execution error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Close a fraction of a position, releasing its margin plus realised P&L into cash
+   * fill: { liquidity, settings, forced } - forced closes (liquidations) ignore maxSlippage
+   * Returns the fill, or false when nothing could be filled
+   */
+  closePosition(participant, token, price, fraction, fill = {}) {
+    const position = participant.portfolio.positions[token];
+    if (!position || position.amount <= 0) {
+      return false;
+    }
+
+    // Longs sell into the pool, shorts buy tokens back from it
+    const isShort = position.side === 'short';
+    const quote = slippageService.quote(isShort ? 'buy' : 'sell', price, fill.liquidity,
+                                        position.amount * fraction * price,
+                                        slippageService.getSettings(fill.settings), !fill.forced);
+    if (!quote) {
+      return false;
+    }
+
+    // A capped fill only closes part of what was asked
+    const closedFraction = fraction * (quote.notional / (position.amount * fraction * price));
+    const amountClosed = position.amount * closedFraction;
+    const costBasis = position.totalInvested * closedFraction;
+    const marginReleased = marginService.getMargin(position) * closedFraction;
+    
+    const tradeValue = amountClosed * quote.executionPrice;
+    const fees = feeService.calculate(tradeValue, feeService.getSettings(fill.settings));
+    const fee = fees.total;
+    
+    // Calculate P&L on the closed portion only
+    const pnl = marginService.direction(position) * (tradeValue - costBasis) - fee;
+    
+    // Update portfolio
+    participant.portfolio.cash += marginReleased + pnl;
+    participant.portfolio.feesPaid = (participant.portfolio.feesPaid || 0) + fee;
+    participant.portfolio.realizedPnl = (participant.portfolio.realizedPnl || 0) + pnl;
+    participant.portfolio.slippagePaid = (participant.portfolio.slippagePaid || 0) + Math.abs(tradeValue - quote.notional);
+    
+    if (pnl > 0) {
+      participant.portfolio.wins++;
+    } else {
+      participant.portfolio.losses++;
+    }
+    
+    if (closedFraction >= 1) {
+      delete participant.portfolio.positions[token];
+    } else {
+      position.amount -= amountClosed;
+      position.totalInvested -= costBasis;
+      position.margin = marginService.getMargin(position) - marginReleased;
+    }
+    participant.portfolio.trades++;
+    
+    return {
+      token,
+      action: 'close',
+      side: isShort ? 'buy' : 'sell',
+      quantity: amountClosed,
+      quotedPrice: price,
+      executionPrice: quote.executionPrice,
+      slippage: quote.slippage,
+      fee,
+      fees,
+      realizedPnl: pnl,
+      partial: quote.partial
+    };
+  }
+
+  // Clamp a requested sell fraction into (0, 1], treating dust remainders as a full close
+  normalizeSellFraction(value) {
+    const fraction = parseFloat(value);
+    if (!Number.isFinite(fraction) || fraction <= 0 || fraction > 0.99) return 1;
+    return fraction;
+  }
+
+  // Attach stop-loss / take-profit exit orders from an AI signal to a position
+  attachExitOrders(position, price, signal = {}) {
+    const stopLoss = parseFloat(signal.stop_loss);
+    const takeProfit = parseFloat(signal.take_profit);
+    const isShort = position.side === 'short';
+
+    // Ignore levels on the wrong side of the fill price (e.g. ratio-style fallbacks)
+    const validStop = isShort ? stopLoss > price : stopLoss > 0 && stopLoss < price;
+    const validTarget = isShort ? takeProfit > 0 && takeProfit < price : takeProfit > price;
+
+    position.exitOrders = {
+      stopLoss: validStop ? stopLoss : null,
+      takeProfit: validTarget ? takeProfit : null,
+      placedAt: new Date().toISOString()
+    };
+  }
+
+  // Fill a position's exit order if the price crossed it, returns a log entry when triggered
+  async triggerExitOrders(participant, token, price, liquidity) {
+    const position = participant.portfolio.positions[token];
+    if (!position || !position.exitOrders) return null;
+
+    const { stopLoss, takeProfit } = position.exitOrders;
+    const isShort = position.side === 'short';
+    let trigger = null;
+
+    if (stopLoss && (isShort ? price >= stopLoss : price <= stopLoss)) {
+      trigger = { type: 'stop_loss', level: stopLoss, label: 'Stop-loss' };
+    } else if (takeProfit && (isShort ? price <= takeProfit : price >= takeProfit)) {
+      trigger = { type: 'take_profit', level: takeProfit, label: 'Take-profit' };
+    }
+
+    if (!trigger) return null;
+
+    const reason = `${trigger.label} triggered at ${price} (level ${trigger.level})`;
+    const fill = isShort
+      ? await this.executeCoverOrder(participant, token, price, { signal: 'BUY', reason }, liquidity)
+      : await this.executeSellOrder(participant, token, price, { signal: 'SELL', reason }, liquidity);
+
+    console.log(`🛑 ${trigger.label} for ${participant.walletAddress.slice(0, 8)}... on ${token} @ ${price}`);
+
+    return {
+      timestamp: new Date().toISOString(),
+      token,
+      signal: isShort ? 'BUY' : 'SELL',
+      price,
+      confidence: 10,
+      reason,
+      trigger: trigger.type,
+      triggerPrice: trigger.level,
+      executed: Boolean(fill),
+      ...(fill && { fill })
+    };
+  }
+
+  // Evaluate resting exit orders for a participant against fresh prices
+  async checkExitOrders(roundId, walletAddress, snapshot) {
+    const participantKey = `round:${roundId}:participant:${walletAddress}`;
+    const participantData = await redisService.get(participantKey);
+    if (!participantData) return;
+
+    const participant = JSON.parse(participantData);
+    participant.roundId = roundId;
+
+    const exitLogs = [];
+
+    for (const [token, position] of Object.entries(participant.portfolio.positions)) {
+      if (!position.exitOrders) continue;
+
+      try {
+        const marketData = (snapshot || await this.getPriceSnapshot(roundId)).prices[token];
+        if (!marketData) continue;
+
+        const exitLog = await this.triggerExitOrders(participant, token, marketData.price, marketData.liquidity);
+        if (exitLog) exitLogs.push(exitLog);
+      } catch (error) {
+        console.error(`Exit order check error for ${walletAddress} - ${token}:`, error.message);
+      }
+    }
+
+    if (exitLogs.length === 0) return;
+
+    await redisService.set(participantKey, JSON.stringify(participant));
+
+    for (const logEntry of exitLogs) {
+      await this.appendParticipantLog(roundId, walletAddress, logEntry);
+    }
+  }
+
+  // Account equity: cash plus each position's margin and unrealised P&L
+  calculateEquity(portfolio) {
+    return portfolio.cash + Object.values(portfolio.positions)
+      .reduce((sum, position) => sum + marginService.getMargin(position) + (position.pnl || 0), 0);
+  }
+
+  // Force-close every margin position at the given prices, returns log entries
+  liquidatePositions(participant, prices, liquidity, settings, equity, requirement) {
+    const logs = [];
+
+    for (const [token, position] of Object.entries(participant.portfolio.positions)) {
+      if (!marginService.isMarginPosition(position) || !prices[token]) continue;
+
+      const isShort = position.side === 'short';
+      const fill = this.closePosition(participant, token, prices[token], 1,
+                                      { liquidity: liquidity[token], settings, forced: true });
+
+      logs.push({
+        timestamp: new Date().toISOString(),
+        token,
+        signal: isShort ? 'BUY' : 'SELL',
+        price: prices[token],
+        confidence: 10,
+        reason: `Liquidated: equity ${equity.toFixed(2)} below maintenance margin ${requirement.toFixed(2)}`,
+        trigger: 'liquidation',
+        executed: Boolean(fill),
+        ...(fill && { fill })
+      });
+    }
+
+    participant.portfolio.liquidations = (participant.portfolio.liquidations || 0) + 1;
+    console.log(`💥 Liquidated ${logs.length} position(s) for ${participant.walletAddress.slice(0, 8)}...`);
+
+    return logs;
+  }
+
   // Update portfolio value
-  async updatePortfolioValue(roundId, walletAddress) {
+  async updatePortfolioValue(roundId, walletAddress, snapshot) {
     const participantKey = `round:${roundId}:participant:${walletAddress}`;
     const participantData = await redisService.get(participantKey);
     const participant = JSON.parse(participantData);
-    
-    let totalValue = participant.portfolio.cash;
-    
+    participant.roundId = roundId;
+
+    // Eliminated portfolios stay frozen at their knockout value
+    if (participant.eliminated) return;
+
+    const roundData = await redisService.get(`round:${roundId}`);
+    const round = JSON.parse(roundData);
+    const marginSettings = marginService.getSettings(round.settings);
+
+    const exitLogs = [];
+    const prices = {};
+    const liquidity = {};
+    const now = Date.now();
+    const priceSnapshot = snapshot || await this.getPriceSnapshot(roundId);
+
     // Calculate position values
     for (const [token, position] of Object.entries(participant.portfolio.positions)) {
       try {
-        const marketData = await baseTokensService.getBaseTokenPrice(token);
-        const currentValue = position.amount * marketData.price;
-        totalValue += currentValue;
-        
+        // A token missing from the snapshot keeps its last valuation
+        const marketData = priceSnapshot.prices[token];
+        if (!marketData) continue;
+
+        prices[token] = marketData.price;
+        liquidity[token] = marketData.liquidity;
+
+        // Triggered exits are realised into cash (capped fills leave a remainder to value)
+        const exitLog = await this.triggerExitOrders(participant, token, marketData.price, marketData.liquidity);
+        if (exitLog) exitLogs.push(exitLog);
+        if (!participant.portfolio.positions[token]) continue;
+
+        // Charge funding on borrowed cash and borrow fees on shorted tokens
+        const financingFee = marginService.calculateFinancingFee(position, marketData.price, marginSettings, now);
+        if (financingFee > 0) {
+          participant.portfolio.cash -= financingFee;
+          participant.portfolio.realizedPnl = (participant.portfolio.realizedPnl || 0) - financingFee;
+          participant.portfolio.financingPaid = (participant.portfolio.financingPaid || 0) + financingFee;
+          position.financingPaid = (position.financingPaid || 0) + financingFee;
+        }
+        position.lastFinancedAt = new Date(now).toISOString();
+
         // Update position current value
-        position.currentValue = currentValue;
-        position.pnl = currentValue - position.totalInvested;
+        position.currentValue = position.amount * marketData.price;
+        position.pnl = marginService.getUnrealizedPnl(position, marketData.price);
       } catch (error) {
         console.error(`Price update error for ${token}:`, error.message);
       }
     }
+
+    let totalValue = this.calculateEquity(participant.portfolio);
+
+    // Liquidate when equity no longer covers maintenance margin
+    const requirement = marginService.getMaintenanceRequirement(participant.portfolio.positions, prices, marginSettings);
+    if (requirement > 0 && totalValue < requirement) {
+      exitLogs.push(...this.liquidatePositions(participant, prices, liquidity, round.settings, totalValue, requirement));
+      totalValue = this.calculateEquity(participant.portfolio);
+    }
     
     // Update portfolio metrics
-    const roundData = await redisService.get(`round:${roundId}`);
-    const round = JSON.parse(roundData);
     const startingBalance = round.startingBalance;
     
     participant.portfolio.totalValue = totalValue;
     participant.portfolio.pnl = totalValue - startingBalance;
     participant.portfolio.pnlPercentage = ((totalValue - startingBalance) / startingBalance) * 100;
+    participant.portfolio.unrealizedPnl = Object.values(participant.portfolio.positions)
+      .reduce((sum, position) => sum + (position.pnl || 0), 0);
     participant.portfolio.winRate = participant.portfolio.trades > 0 ? 
       (participant.portfolio.wins / participant.portfolio.trades) * 100 : 0;
+    
+    // One equity point per tick feeds drawdown and risk-adjusted stats
+    await this.recordEquity(roundId, walletAddress, priceSnapshot.tick, totalValue);
+    const equitySeries = await this.getEquitySeries(roundId, walletAddress, startingBalance);
+    participant.portfolio.riskMetrics = riskMetricsService.calculate(equitySeries.map(point => point.equity));
+    participant.portfolio.maxDrawdown = participant.portfolio.riskMetrics.maxDrawdown;
     participant.lastUpdate = new Date().toISOString();
     
     // Store updated participant
     await redisService.set(participantKey, JSON.stringify(participant));
-  }
+
+    for (const logEntry of exitLogs) {
+      await this.appendParticipantLog(roundId, walletAddress, logEntry);
+    }
+  }
 
   // Update leaderboard
   async updateLeaderboard(roundId) {
-    const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
+    const ranked = await this.rankParticipants(roundId);
     
     // Clear existing leaderboard
     await redisService.del(`round:${roundId}:leaderboard`);
     
-    // Add participants to sorted set by PnL percentage
-    for (const address of participantAddresses) {
-      const participantData = await redisService.get(`round:${roundId}:participant:${address}`);
-      if (participantData) {
-        const participant = JSON.parse(participantData);
-        await redisService.zAdd(`round:${roundId}:leaderboard`, 
-                                participant.portfolio.pnlPercentage, 
-                                address);
-      }
+    // Sorted set holds the scored order (ties already broken); the scores themselves go in a hash
+    for (const entry of ranked) {
+      await redisService.zAdd(`round:${roundId}:leaderboard`, ranked.length - entry.rank + 1, entry.walletAddress);
+      await redisService.hSet(`round:${roundId}:scores`, entry.walletAddress,
+                              JSON.stringify({ score: entry.score, scorer: entry.scorer }));
     }
   }
 
-  // End round
-  async endRound(roundId) {
-    // Clear execution interval
+  /**
+   * Count an execution tick and, every eliminationInterval ticks, eliminate the lowest-ranked players
+   * @param {string} roundId - Round ID
+   * @returns {boolean} true when the round ended because one player remains
+   */
+  async runEliminationCheckpoint(roundId) {
+    const round = await this.getRound(roundId);
+    if (!round || round.status !== 'active') return false;
+
+    round.elimination = round.elimination || { ticks: 0, checkpoints: 0, eliminated: 0 };
+    round.elimination.ticks += 1;
+
+    if (round.elimination.ticks % round.settings.eliminationInterval !== 0) {
+      await redisService.set(`round:${roundId}`, JSON.stringify(round));
+      return false;
+    }
+
+    const participantCount = (await redisService.sMembers(`round:${roundId}:participants`)).length;
+    const leaderboard = await this.getLeaderboard(roundId, participantCount);
+    const survivors = leaderboard.filter(entry => !entry.eliminated);
+
+    round.elimination.checkpoints += 1;
+    const checkpoint = round.elimination.checkpoints;
+
+    // Always leave at least one player standing
+    const eliminateCount = Math.min(round.settings.eliminationCount, survivors.length - 1);
+    const knockedOut = eliminateCount > 0 ? survivors.slice(-eliminateCount).reverse() : [];
+    const eliminatedAt = new Date().toISOString();
+    const eliminated = [];
+
+    for (const entry of knockedOut) {
+      const participantKey = `round:${roundId}:participant:${entry.walletAddress}`;
+      const participantData = await redisService.get(participantKey);
+      if (!participantData) continue;
+
+      round.elimination.eliminated += 1;
+
+      const participant = JSON.parse(participantData);
+      participant.eliminated = {
+        at: eliminatedAt,
+        checkpoint,
+        order: round.elimination.eliminated,
+        rank: entry.rank,
+        pnlPercentage: participant.portfolio.pnlPercentage,
+        totalValue: participant.portfolio.totalValue
+      };
+      participant.isActive = false;
+      participant.strategy.enabled = false;
+      participant.portfolio.frozenAt = eliminatedAt;
+      participant.lastUpdate = eliminatedAt;
+
+      await redisService.set(participantKey, JSON.stringify(participant));
+      await this.appendParticipantLog(roundId, entry.walletAddress, {
+        timestamp: eliminatedAt,
+        type: 'elimination',
+        checkpoint,
+        rank: entry.rank,
+        pnlPercentage: participant.portfolio.pnlPercentage,
+        executed: false
+      });
+
+      eliminated.push({
+        walletAddress: entry.walletAddress,
+        username: entry.username,
+        rank: entry.rank,
+        pnlPercentage: participant.portfolio.pnlPercentage,
+        totalValue: participant.portfolio.totalValue
+      });
+    }
+
+    const remaining = survivors.length - eliminated.length;
+
+    round.history = round.history || [];
+    round.history.push({
+      event: 'elimination',
+      at: eliminatedAt,
+      checkpoint,
+      tick: round.elimination.ticks,
+      eliminated: eliminated.map(e => e.walletAddress),
+      remaining
+    });
+    await redisService.set(`round:${roundId}`, JSON.stringify(round));
+
+    // Re-rank so knocked-out players drop below the survivors
+    await this.updateLeaderboard(roundId);
+
+    if (eliminated.length > 0) {
+      console.log(`💀 Round ${roundId} checkpoint ${checkpoint}: eliminated ${eliminated.map(e => e.username).join(', ')} (${remaining} left)`);
+      this.emit('participantsEliminated', { roundId, checkpoint, eliminated, remaining });
+    }
+
+    if (remaining <= 1) {
+      await this.endRound(roundId);
+      return true;
+    }
+
+    return false;
+  }
+
+  // Stop a round's execution loop
+  stopStrategyExecution(roundId) {
     const intervalId = this.activeExecutions.get(roundId);
     if (intervalId) {
       clearInterval(intervalId);
       this.activeExecutions.delete(roundId);
     }
 
+    const state = this.tickStates.get(roundId);
+    if (state) state.queued = false;
+  }
+
+  // End round; resumeSettlement finishes one left in 'settling' (e.g. by a crash), keeping standings already frozen
+  async endRound(roundId, { resumeSettlement = false } = {}) {
+    // Clear execution interval
+    this.stopStrategyExecution(roundId);
+
     // Update round status
     const roundData = await redisService.get(`round:${roundId}`);
     const round = JSON.parse(roundData);
-    round.status = 'finished';
-    round.endTime = new Date().toISOString();
+    const roundKey = `round:${roundId}`;
+
+    if (resumeSettlement && round.status === 'settling') {
+      console.log(`♻️ Resuming settlement of round ${roundId}`);
+    } else if (!roundStateMachine.canTransition(round.status, 'settling')) {
+      // A tick already in flight must not end a round that was cancelled or already ended
+      return round;
+    } else {
+      round.endTime = new Date().toISOString();
+      await this.transitionRound(round, 'settling');
+    }
     
-    await redisService.set(`round:${roundId}`, JSON.stringify(round));
+    const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
+    
+    if (!round.finalStandings) {
+      // Mark every open position to market one final time, all at the same settlement prices
+      const settlementSnapshot = await this.takePriceSnapshot(roundId, round);
+      round.settlementSnapshotTick = settlementSnapshot.tick;
+      round.finalBenchmarks = await this.markBenchmarks(roundId, round, settlementSnapshot);
+      
+      for (const address of participantAddresses) {
+        try {
+          await this.updatePortfolioValue(roundId, address, settlementSnapshot);
+        } catch (error) {
+          console.error(`Settlement valuation error for ${address}:`, error.message);
+        }
+      }
+      
+      // Final leaderboard update, then freeze the standings
+      await this.updateLeaderboard(roundId);
+      round.finalStandings = await this.getLeaderboard(roundId, participantAddresses.length || round.maxParticipants);
+      if (round.settings.mode === 'team') {
+        round.finalTeamStandings = await this.getTeamLeaderboard(roundId);
+      }
+      await redisService.set(roundKey, JSON.stringify(round));
+    }
+    
+    // Pay out the prize pool and strategy royalties from the frozen standings
+    // (each step is saved, so a resumed settlement neither recalculates payouts nor counts stats twice)
+    await this.settlePrizePool(roundId, round);
+    await redisService.set(roundKey, JSON.stringify(round));
+    await this.settleRoyalties(roundId, round);
+    await redisService.set(roundKey, JSON.stringify(round));
+    
+    // Registered strategies learn from every round they were played in
+    await this.recordStrategyResults(roundId, round);
+    
+    await this.transitionRound(round, 'finished');
     
     // Move to finished rounds
     await redisService.sRem('rounds:running', roundId);
+    await redisService.sRem('rounds:paused', roundId);
     await redisService.sAdd('rounds:finished', roundId);
     
-    // Final leaderboard update
-    await this.updateLeaderboard(roundId);
+    this.priceSnapshots.delete(roundId);
+    this.tickStates.delete(roundId);
     
     console.log(`🏁 Round ${roundId} finished`);
     
@@ -516,64 +1991,379 @@ class TradingRoundManager extends EventEmitter {
     return round;
   }
 
+  /**
+   * Settle a paid round: rake to the house, the rest to the winners by the round's payout curve
+   * Team rounds pay by team standings. Payouts are calculated once; a credit that fails is kept in
+   * failedPayouts and the pool stays unsettled until a retry gets it through. Ledger references make
+   * every credit idempotent, so retrying never pays anyone twice.
+   * @param {string} roundId - Round ID
+   * @param {Object} round - Round with finalStandings (and finalTeamStandings in team mode); updated in place
+   */
+  async settlePrizePool(roundId, round) {
+    const pool = round.prizePool;
+    if (!pool || !(pool.collected > 0) || pool.settledAt) return;
+
+    if (!pool.payouts) {
+      const standings = round.settings.mode === 'team' ? round.finalTeamStandings || [] : round.finalStandings || [];
+
+      pool.rake = walletLedgerService.roundAmount(pool.collected * pool.rakePercent);
+      pool.prizePool = walletLedgerService.roundAmount(pool.collected - pool.rake);
+      pool.payouts = prizePoolService.calculatePayouts(standings, pool.prizePool, pool.payoutCurve);
+    }
+
+    const credits = pool.payouts
+      .filter(payout => payout.amount > 0)
+      .map(payout => ({
+        walletAddress: payout.walletAddress,
+        amount: payout.amount,
+        details: {
+          type: 'prize',
+          roundId,
+          reference: `${roundId}:prize`,
+          memo: `Rank ${payout.rank}${payout.team ? ` (${payout.team})` : ''} in ${round.title}`
+        }
+      }));
+
+    if (pool.rake > 0) {
+      credits.push({
+        walletAddress: walletLedgerService.houseAccount,
+        amount: pool.rake,
+        details: {
+          type: 'rake',
+          roundId,
+          reference: `${roundId}:rake`,
+          memo: `House rake for ${round.title}`
+        }
+      });
+    }
+
+    pool.failedPayouts = [];
+    for (const credit of credits) {
+      try {
+        await walletLedgerService.credit(credit.walletAddress, credit.amount, credit.details);
+      } catch (error) {
+        console.error(`Prize payout error for ${credit.walletAddress}:`, error.message);
+        pool.failedPayouts.push({
+          walletAddress: credit.walletAddress,
+          type: credit.details.type,
+          amount: credit.amount,
+          error: error.message,
+          failedAt: new Date().toISOString()
+        });
+      }
+    }
+
+    if (pool.failedPayouts.length > 0) {
+      console.error(`💰 Round ${roundId} has ${pool.failedPayouts.length} unpaid payout(s); retry with retryPrizePool`);
+      return;
+    }
+
+    pool.settledAt = new Date().toISOString();
+    console.log(`💰 Round ${roundId} paid ${pool.prizePool} to ${pool.payouts.length} wallet(s), rake ${pool.rake}`);
+  }
+
+  // Retry the payouts of a finished round whose prize pool did not fully settle
+  async retryPrizePool(roundId) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+    if (round.status !== 'finished') {
+      throw new Error(`Round is ${round.status}, only finished rounds are paid out`);
+    }
+
+    await this.settlePrizePool(roundId, round);
+    await redisService.set(`round:${roundId}`, JSON.stringify(round));
+
+    return this.getPayoutStatement(roundId);
+  }
+
+  // Licensees who finished in profit pay the strategy owner their royalty share
+  async settleRoyalties(roundId, round) {
+    round.royalties = round.royalties || [];
+
+    for (const entry of round.finalStandings || []) {
+      const license = await strategyManager.getUserRoundLicense(entry.walletAddress, roundId);
+      if (!license) continue;
+
+      try {
+        const record = await strategyManager.settleRoyalty(license, { profit: entry.pnl, roundTitle: round.title });
+        if (record && record.royalty > 0) {
+          round.royalties.push(record);
+        }
+      } catch (error) {
+        console.error(`Royalty settlement error for ${entry.walletAddress}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Feed each registered strategy's round result into its stats (strategyManager.updateStrategyStats)
+   * Wins and per-token figures come from the fill ledger's closing fills
+   * @param {string} roundId - Round ID
+   * @param {Object} round - Finished round with finalStandings; updated in place
+   */
+  async recordStrategyResults(roundId, round) {
+    if (round.strategyStatsRecordedAt) return;
+
+    for (const entry of round.finalStandings || []) {
+      const participantData = await redisService.get(`round:${roundId}:participant:${entry.walletAddress}`);
+      if (!participantData) continue;
+
+      const participant = JSON.parse(participantData);
+      if (!participant.strategy?.id) continue;
+
+      try {
+        const fills = await fillLedgerService.getParticipantFills(roundId, entry.walletAddress, { limit: Infinity });
+        const tokens = {};
+
+        for (const fill of fills) {
+          const token = tokens[fill.token] || { trades: 0, closedTrades: 0, wins: 0, realizedPnl: 0 };
+          token.trades += 1;
+          token.realizedPnl += fill.realizedPnl;
+          if (fill.action === 'close') {
+            token.closedTrades += 1;
+            if (fill.realizedPnl > 0) token.wins += 1;
+          }
+          tokens[fill.token] = token;
+        }
+
+        const tokenResults = Object.values(tokens);
+
+        await strategyManager.updateStrategyStats(participant.strategy.id, {
+          returnPercent: entry.pnlPercentage,
+          trades: fills.length,
+          closedTrades: tokenResults.reduce((sum, token) => sum + token.closedTrades, 0),
+          wins: tokenResults.reduce((sum, token) => sum + token.wins, 0),
+          rank: entry.rank,
+          won: entry.rank === 1,
+          gameType: round.gameType || 'trading',
+          tokens
+        });
+      } catch (error) {
+        console.error(`Strategy stats error for ${entry.walletAddress}:`, error.message);
+      }
+    }
+
+    round.strategyStatsRecordedAt = new Date().toISOString();
+  }
+
+  // Prize pool and payouts for a round, plus each payee's ledger entries for it
+  async getPayoutStatement(roundId) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    const pool = round.prizePool || prizePoolService.getSettings();
+    const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
+    const entries = [];
+
+    for (const address of participantAddresses) {
+      entries.push(...await walletLedgerService.getEntries(address, { roundId }));
+    }
+
+    return {
+      roundId,
+      title: round.title,
+      status: round.status,
+      entryFee: pool.entryFee,
+      rakePercent: pool.rakePercent,
+      payoutCurve: pool.payoutCurve,
+      entries: pool.entries,
+      collected: pool.collected,
+      rake: pool.rake ?? null,
+      prizePool: pool.prizePool ?? null,
+      payouts: pool.payouts || [],
+      failedPayouts: pool.failedPayouts || [],
+      settledAt: pool.settledAt || null,
+      refundedAt: pool.refundedAt || null,
+      ledger: entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.sequence - b.sequence)
+    };
+  }
+
+  // Pause an active round, e.g. while a price feed is unreliable
+  async pauseRound(roundId, reason = '') {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    roundStateMachine.assertTransition(round, 'paused');
+
+    this.stopStrategyExecution(roundId);
+
+    round.pausedAt = new Date().toISOString();
+    round.pauseReason = reason || null;
+
+    await this.transitionRound(round, 'paused', { reason: round.pauseReason });
+
+    // A pause has no fixed length, so the round must not expire while it lasts; resume sets a new TTL
+    await redisService.persist(`round:${roundId}`);
+
+    // Paused rounds must not be re-armed by crash recovery
+    await redisService.sRem('rounds:running', roundId);
+    await redisService.sAdd('rounds:paused', roundId);
+
+    console.log(`⏸️ Paused round ${roundId}${reason ? `: ${reason}` : ''}`);
+
+    // Emit event
+    this.emit('roundPaused', { roundId, round, reason: round.pauseReason });
+
+    return round;
+  }
+
+  // Keep the round key until an hour after its (possibly pushed back) endTime, as createRound does for the original one
+  async extendRoundTtl(round) {
+    const ttlMs = new Date(round.endTime).getTime() - Date.now() + this.roundResultsTtl;
+    await redisService.expire(`round:${round.id}`, Math.ceil(Math.max(ttlMs, this.roundResultsTtl) / 1000));
+  }
+
+  // Resume a paused round, pushing endTime back by the time spent paused
+  async resumeRound(roundId) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    // waiting/countdown -> active is a legal transition too, but starting a lobby round goes through startRound
+    if (round.status !== 'paused') {
+      throw new Error(`Round is ${round.status}, only paused rounds can be resumed`);
+    }
+    roundStateMachine.assertTransition(round, 'active');
+
+    const pausedMs = Date.now() - new Date(round.pausedAt).getTime();
+
+    round.endTime = new Date(new Date(round.endTime).getTime() + pausedMs).toISOString();
+    round.totalPausedMs = (round.totalPausedMs || 0) + pausedMs;
+    round.pausedAt = null;
+    round.pauseReason = null;
+
+    await this.transitionRound(round, 'active', { pausedMs });
+    await this.extendRoundTtl(round);
+
+    await redisService.sRem('rounds:paused', roundId);
+    await redisService.sAdd('rounds:running', roundId);
+
+    console.log(`▶️ Resumed round ${roundId} after ${Math.round(pausedMs / 1000)}s, now ends ${round.endTime}`);
+
+    this.startStrategyExecution(roundId, round);
+
+    // Emit event
+    this.emit('roundResumed', { roundId, round, pausedMs });
+
+    return round;
+  }
+
+  // Cancel a round: stop trading, freeze every portfolio and void the results
+  async cancelRound(roundId, reason = '') {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    roundStateMachine.assertTransition(round, 'cancelled');
+
+    this.stopStrategyExecution(roundId);
+    this.clearCountdown(roundId);
+
+    const previousStatus = round.status;
+    const cancelledAt = new Date().toISOString();
+
+    // Freeze participants where they stand
+    const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
+    for (const address of participantAddresses) {
+      const participantKey = `round:${roundId}:participant:${address}`;
+      const participantData = await redisService.get(participantKey);
+      if (!participantData) continue;
+
+      const participant = JSON.parse(participantData);
+      participant.isActive = false;
+      participant.strategy.enabled = false;
+      participant.portfolio.frozenAt = cancelledAt;
+      participant.lastUpdate = cancelledAt;
+
+      await redisService.set(participantKey, JSON.stringify(participant));
+
+      // Void rounds hand entry fees back
+      if (participant.entryFeePaid > 0) {
+        try {
+          await walletLedgerService.credit(address, participant.entryFeePaid, {
+            type: 'entry_refund',
+            roundId,
+            reference: `${roundId}:entry_refund`,
+            memo: `Refund for cancelled round ${round.title}`
+          });
+        } catch (error) {
+          console.error(`Entry fee refund error for ${address}:`, error.message);
+        }
+      }
+    }
+
+    if (round.prizePool?.collected > 0) {
+      round.prizePool.refundedAt = cancelledAt;
+    }
+
+    round.cancelledAt = cancelledAt;
+    round.pausedAt = null;
+    round.countdownEndsAt = null;
+    this.priceSnapshots.delete(roundId);
+    this.tickStates.delete(roundId);
+    
+    round.results = {
+      void: true,
+      reason: reason || 'Round cancelled',
+      cancelledAt
+    };
+
+    await this.transitionRound(round, 'cancelled', { reason: round.results.reason });
+
+    await redisService.sRem('rounds:active', roundId);
+    await redisService.sRem('rounds:running', roundId);
+    await redisService.sRem('rounds:paused', roundId);
+    await redisService.sAdd('rounds:cancelled', roundId);
+
+    console.log(`🚫 Cancelled round ${roundId} (was ${previousStatus})${reason ? `: ${reason}` : ''}`);
+
+    // Emit event
+    this.emit('roundCancelled', { roundId, round, reason: round.results.reason });
+
+    return round;
+  }
+
   // Get round leaderboard
   async getLeaderboard(roundId, limit = 10) {
     try {
-      // Try Redis sorted set first
+      // Try Redis sorted set first (kept in scored order by updateLeaderboard)
       const leaderboardData = await redisService.zRevRange(`round:${roundId}:leaderboard`, 0, limit - 1);
       
       const leaderboard = [];
       
       // Handle different Redis response formats
       if (Array.isArray(leaderboardData) && leaderboardData.length > 0) {
+        const scores = await redisService.hGetAll(`round:${roundId}:scores`);
+        const benchmarkMark = await this.getLatestBenchmarkMark(roundId);
+        
         for (let i = 0; i < leaderboardData.length; i += 2) {
           const address = leaderboardData[i];
-          const score = parseFloat(leaderboardData[i + 1] || 0);
           
           if (address) {
             const participantData = await redisService.get(`round:${roundId}:participant:${address}`);
             if (participantData) {
-              const participant = JSON.parse(participantData);
+              const score = scores[address] ? JSON.parse(scores[address]) : {};
               leaderboard.push({
                 rank: Math.floor(i / 2) + 1,
-                walletAddress: address,
-                username: participant.username,
-                pnl: participant.portfolio.pnl || 0,
-                pnlPercentage: score,
-                totalValue: participant.portfolio.totalValue || 0,
-                trades: participant.portfolio.trades || 0,
-                winRate: participant.portfolio.winRate || 0
+                ...this.buildLeaderboardEntry(JSON.parse(participantData), benchmarkMark),
+                score: score.score ?? null,
+                scorer: score.scorer || null
               });
             }
           }
         }
       } else {
-        // Fallback: manually build leaderboard from participants
+        // Fallback: manually build and score the leaderboard from participants
         console.log('Using fallback leaderboard method...');
-        const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
-        
-        for (const address of participantAddresses) {
-          const participantData = await redisService.get(`round:${roundId}:participant:${address}`);
-          if (participantData) {
-            const participant = JSON.parse(participantData);
-            leaderboard.push({
-              rank: 0, // Will be set after sorting
-              walletAddress: address,
-              username: participant.username,
-              pnl: participant.portfolio.pnl || 0,
-              pnlPercentage: participant.portfolio.pnlPercentage || 0,
-              totalValue: participant.portfolio.totalValue || 0,
-              trades: participant.portfolio.trades || 0,
-              winRate: participant.portfolio.winRate || 0
-            });
-          }
-        }
-        
-        // Sort by PnL percentage and assign ranks
-        leaderboard.sort((a, b) => b.pnlPercentage - a.pnlPercentage);
-        leaderboard.forEach((entry, index) => {
-          entry.rank = index + 1;
-        });
+        leaderboard.push(...await this.rankParticipants(roundId));
       }
       
       return leaderboard.slice(0, limit);
@@ -583,6 +2373,134 @@ class TradingRoundManager extends EventEmitter {
     }
   }
 
+  // Leaderboard fields for one participant; alpha is measured against the latest benchmark mark
+  buildLeaderboardEntry(participant, benchmarkMark = null) {
+    return {
+      walletAddress: participant.walletAddress,
+      username: participant.username,
+      team: participant.team || null,
+      eliminated: Boolean(participant.eliminated),
+      eliminatedOrder: participant.eliminated ? participant.eliminated.order : null,
+      pnl: participant.portfolio.pnl || 0,
+      pnlPercentage: participant.portfolio.pnlPercentage || 0,
+      realizedPnl: participant.portfolio.realizedPnl || 0,
+      unrealizedPnl: participant.portfolio.unrealizedPnl || 0,
+      totalValue: participant.portfolio.totalValue || 0,
+      trades: participant.portfolio.trades || 0,
+      winRate: participant.portfolio.winRate || 0,
+      riskMetrics: participant.portfolio.riskMetrics || null,
+      alpha: benchmarkService.calculateAlpha(participant.portfolio.pnlPercentage || 0, benchmarkMark)
+    };
+  }
+
+  // Score and rank every participant with the round's scorer (see scoringService)
+  async rankParticipants(roundId) {
+    const round = await this.getRound(roundId);
+    const participantAddresses = await redisService.sMembers(`round:${roundId}:participants`);
+    const benchmarkMark = await this.getLatestBenchmarkMark(roundId);
+    const entries = [];
+
+    for (const address of participantAddresses) {
+      const participantData = await redisService.get(`round:${roundId}:participant:${address}`);
+      if (participantData) {
+        entries.push(this.buildLeaderboardEntry(JSON.parse(participantData), benchmarkMark));
+      }
+    }
+
+    return scoringService.rank(entries, {
+      round,
+      benchmarkReturn: benchmarkMark?.equalWeight?.returnPercent || 0
+    });
+  }
+
+  /**
+   * Rank teams by the combined PnL of their members' sub-accounts
+   * @param {string} roundId - Round ID
+   * @param {number} limit - Max teams returned
+   * @returns {Array<Object>} Team entries with each member's share of team PnL
+   */
+  async getTeamLeaderboard(roundId, limit = 50) {
+    const round = await this.getRound(roundId);
+    const teams = await redisService.hGetAll(`round:${roundId}:teams`);
+    const leaderboard = [];
+
+    if (!round) return leaderboard;
+
+    for (const [key, name] of Object.entries(teams)) {
+      const members = [];
+
+      for (const address of await redisService.sMembers(`round:${roundId}:team:${key}:members`)) {
+        const participantData = await redisService.get(`round:${roundId}:participant:${address}`);
+        if (!participantData) continue; // seat claimed, join still in progress
+
+        const participant = JSON.parse(participantData);
+        members.push({
+          walletAddress: address,
+          username: participant.username,
+          pnl: participant.portfolio.pnl || 0,
+          pnlPercentage: participant.portfolio.pnlPercentage || 0,
+          totalValue: participant.portfolio.totalValue || 0,
+          trades: participant.portfolio.trades || 0
+        });
+      }
+
+      if (members.length === 0) continue;
+
+      const pnl = members.reduce((sum, m) => sum + m.pnl, 0);
+      const startingValue = round.startingBalance * members.length; // every sub-account starts with the full balance
+      const grossPnl = members.reduce((sum, m) => sum + Math.abs(m.pnl), 0);
+
+      leaderboard.push({
+        rank: 0, // set after sorting
+        team: name,
+        pnl,
+        pnlPercentage: startingValue > 0 ? (pnl / startingValue) * 100 : 0,
+        totalValue: members.reduce((sum, m) => sum + m.totalValue, 0),
+        trades: members.reduce((sum, m) => sum + m.trades, 0),
+        members: members
+          .map(member => ({
+            ...member,
+            // Signed share of the team's gross PnL, so winners and losers both show up
+            contribution: grossPnl > 0 ? (member.pnl / grossPnl) * 100 : 0
+          }))
+          .sort((a, b) => b.pnl - a.pnl)
+      });
+    }
+
+    leaderboard.sort((a, b) => b.pnlPercentage - a.pnlPercentage);
+    leaderboard.forEach((entry, index) => {
+      entry.rank = index + 1;
+    });
+
+    return leaderboard.slice(0, limit);
+  }
+
+  /**
+   * Fill ledger for a round, or for one participant when walletAddress is given
+   * @param {string} roundId - Round ID
+   * @param {Object} options - { walletAddress, token, fromSequence, limit }
+   * @returns {Object} { fills, summary }
+   */
+  async getFills(roundId, { walletAddress = null, ...options } = {}) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    let fills;
+    if (walletAddress) {
+      const isParticipant = await redisService.get(`round:${roundId}:participant:${walletAddress}`);
+      if (!isParticipant) {
+        throw new Error('Participant not found');
+      }
+      fills = await fillLedgerService.getParticipantFills(roundId, walletAddress, options);
+    } else {
+      fills = await fillLedgerService.getRoundFills(roundId, options);
+    }
+
+    return { fills, summary: fillLedgerService.summarize(fills) };
+  }
+
   // Get participant logs
   async getParticipantLogs(roundId, walletAddress) {
     const logs = await redisService.hGetAll(`round:${roundId}:logs:${walletAddress}`);
@@ -595,6 +2513,235 @@ class TradingRoundManager extends EventEmitter {
       .sort((a, b) => b.timestamp - a.timestamp);
   }
 
+  /**
+   * Fetch one price per token for the whole round and freeze it for the tick
+   * Covers allowedTokens plus any token a participant still holds
+   * @param {string} roundId - Round ID
+   * @param {Object} round - Round data (allowedTokens)
+   * @returns {Object} Frozen { roundId, tick, takenAt, prices: { TOKEN: marketData }, missing }
+   */
+  async takePriceSnapshot(roundId, round) {
+    const tokens = new Set([...round.settings.allowedTokens, ...benchmarkService.referenceTokens]);
+
+    for (const address of await redisService.sMembers(`round:${roundId}:participants`)) {
+      const participantData = await redisService.get(`round:${roundId}:participant:${address}`);
+      if (!participantData) continue;
+      Object.keys(JSON.parse(participantData).portfolio.positions).forEach(token => tokens.add(token));
+    }
+
+    const tick = await redisService.incr(`round:${roundId}:tick`);
+    const prices = {};
+    const missing = [];
+
+    for (const token of tokens) {
+      try {
+        const marketData = await baseTokensService.getBaseTokenPrice(token);
+        if (!marketData || !marketData.price) {
+          missing.push(token);
+          continue;
+        }
+
+        // Copy: the token service hands out its cached objects
+        prices[token] = { ...JSON.parse(JSON.stringify(marketData)), snapshotTick: tick };
+        await this.recordPrice(roundId, token, marketData);
+      } catch (error) {
+        console.error(`Snapshot price error for ${token}:`, error.message);
+        missing.push(token);
+      }
+    }
+
+    const snapshot = this.deepFreeze({
+      roundId,
+      tick,
+      takenAt: new Date().toISOString(),
+      prices,
+      missing
+    });
+
+    const snapshotJson = JSON.stringify(snapshot);
+    await redisService.hSet(`round:${roundId}:snapshots`, String(tick), snapshotJson);
+    await redisService.set(`round:${roundId}:snapshot:latest`, snapshotJson);
+    this.priceSnapshots.set(roundId, snapshot);
+
+    return snapshot;
+  }
+
+  // Latest snapshot for a round; takes a fresh one if the round has none yet (e.g. after a restart)
+  async getPriceSnapshot(roundId) {
+    if (this.priceSnapshots.has(roundId)) {
+      return this.priceSnapshots.get(roundId);
+    }
+
+    const stored = await redisService.get(`round:${roundId}:snapshot:latest`);
+    if (stored) {
+      const snapshot = this.deepFreeze(JSON.parse(stored));
+      this.priceSnapshots.set(roundId, snapshot);
+      return snapshot;
+    }
+
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    return this.takePriceSnapshot(roundId, round);
+  }
+
+  // Stored snapshots for auditing, oldest first
+  async getPriceSnapshots(roundId, { fromTick = 1, limit = 100 } = {}) {
+    const snapshots = await redisService.hGetAll(`round:${roundId}:snapshots`);
+
+    return Object.entries(snapshots)
+      .map(([tick, data]) => ({ tick: parseInt(tick), data }))
+      .filter(({ tick }) => tick >= fromTick)
+      .sort((a, b) => a.tick - b.tick)
+      .slice(0, limit)
+      .map(({ data }) => JSON.parse(data));
+  }
+
+  deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      Object.values(value).forEach(child => this.deepFreeze(child));
+      Object.freeze(value);
+    }
+    return value;
+  }
+
+  // Store a participant's equity for a tick (re-valuing within the same tick overwrites it)
+  async recordEquity(roundId, walletAddress, tick, equity) {
+    await redisService.hSet(`round:${roundId}:equity:${walletAddress}`, String(tick),
+                           JSON.stringify({ equity, at: new Date().toISOString() }));
+  }
+
+  // Equity curve, oldest first, starting from the round's starting balance
+  async getEquitySeries(roundId, walletAddress, startingBalance) {
+    const points = await redisService.hGetAll(`round:${roundId}:equity:${walletAddress}`);
+
+    const series = Object.entries(points)
+      .map(([tick, data]) => ({ tick: parseInt(tick), ...JSON.parse(data) }))
+      .sort((a, b) => a.tick - b.tick);
+
+    return [{ tick: 0, equity: startingBalance, at: null }, ...series];
+  }
+
+  // Equity curve, drawdown curve and risk stats for one participant
+  async getParticipantAnalytics(roundId, walletAddress) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    const participantData = await redisService.get(`round:${roundId}:participant:${walletAddress}`);
+    if (!participantData) {
+      throw new Error('Participant not found');
+    }
+
+    const participant = JSON.parse(participantData);
+    const equitySeries = await this.getEquitySeries(roundId, walletAddress, round.startingBalance);
+    const equity = equitySeries.map(point => point.equity);
+    const drawdowns = riskMetricsService.getDrawdownCurve(equity);
+
+    return {
+      roundId,
+      walletAddress,
+      username: participant.username,
+      portfolio: {
+        totalValue: participant.portfolio.totalValue,
+        pnl: participant.portfolio.pnl,
+        pnlPercentage: participant.portfolio.pnlPercentage,
+        realizedPnl: participant.portfolio.realizedPnl || 0,
+        unrealizedPnl: participant.portfolio.unrealizedPnl || 0,
+        feesPaid: participant.portfolio.feesPaid || 0,
+        trades: participant.portfolio.trades,
+        winRate: participant.portfolio.winRate
+      },
+      riskMetrics: riskMetricsService.calculate(equity),
+      alpha: benchmarkService.calculateAlpha(participant.portfolio.pnlPercentage || 0, await this.getLatestBenchmarkMark(roundId)),
+      equityCurve: equitySeries.map((point, index) => ({ ...point, drawdown: drawdowns[index] })),
+      benchmarkCurves: (await this.getBenchmarkCurves(roundId)).curves
+    };
+  }
+
+  // Mark the round's benchmark portfolios on a snapshot and store the point for charts
+  async markBenchmarks(roundId, round, snapshot) {
+    if (!round.benchmarks) return null; // rounds started before benchmarks existed
+
+    const lastMark = await this.getLatestBenchmarkMark(roundId);
+    const mark = benchmarkService.mark(round.benchmarks, snapshot, lastMark);
+
+    await redisService.hSet(`round:${roundId}:benchmarks`, String(mark.tick), JSON.stringify(mark));
+    await redisService.set(`round:${roundId}:benchmark:latest`, JSON.stringify(mark));
+
+    return mark;
+  }
+
+  async getLatestBenchmarkMark(roundId) {
+    const stored = await redisService.get(`round:${roundId}:benchmark:latest`);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Benchmark value curves for charting beside participant equity curves
+   * @param {string} roundId - Round ID
+   * @returns {Object} { roundId, benchmarks, curves: [{ tick, at, equalWeight, ethOnly }] }
+   */
+  async getBenchmarkCurves(roundId) {
+    const round = await this.getRound(roundId);
+    if (!round) {
+      throw new Error('Round not found');
+    }
+
+    const marks = await redisService.hGetAll(`round:${roundId}:benchmarks`);
+    const curves = Object.values(marks)
+      .map(data => JSON.parse(data))
+      .sort((a, b) => a.tick - b.tick)
+      .map(({ tick, at, equalWeight, ethOnly }) => ({
+        tick,
+        at,
+        equalWeight: equalWeight ? equalWeight.value : null,
+        ethOnly: ethOnly ? ethOnly.value : null
+      }));
+
+    return {
+      roundId,
+      benchmarks: round.benchmarks || null,
+      curves
+    };
+  }
+
+  // Record a token price for the round, keyed by quote time so cached quotes are not duplicated
+  async recordPrice(roundId, token, marketData) {
+    if (!marketData || !marketData.price) return;
+
+    await redisService.hSet(`round:${roundId}:prices:${token}`,
+                           marketData.timestamp || new Date().toISOString(),
+                           marketData.price.toString());
+  }
+
+  // Get recorded prices for a token in a round, oldest first
+  async getPriceSeries(roundId, token, limit = 100) {
+    const prices = await redisService.hGetAll(`round:${roundId}:prices:${token}`);
+
+    return Object.entries(prices)
+      .sort(([a], [b]) => new Date(a) - new Date(b))
+      .slice(-limit)
+      .map(([, price]) => parseFloat(price));
+  }
+
+  // Append to a participant's trade log (keys stay unique within the same millisecond)
+  async appendParticipantLog(roundId, walletAddress, logEntry) {
+    // Executed trades also go to the fill ledger; the log keeps the trade ID
+    if (logEntry.fill) {
+      const entry = await fillLedgerService.record(roundId, walletAddress, logEntry.fill, logEntry);
+      logEntry.fill.tradeId = entry.tradeId;
+    }
+
+    this.lastLogTimestamp = Math.max(Date.now(), this.lastLogTimestamp + 1);
+    await redisService.hSet(`round:${roundId}:logs:${walletAddress}`,
+                           this.lastLogTimestamp.toString(),
+                           JSON.stringify(logEntry));
+  }
+
   // Broadcast round updates - UPDATED to use console logging instead of Redis pub/sub
   async broadcastRoundUpdate(roundId) {
     try {
@@ -0,0 +1,126 @@
+// services/walletLedgerService.js - Internal wallet balances backed by an append-only ledger
+
+const redisService = require('./redisService');
+
+class WalletLedgerService {
+  constructor() {
+    this.houseAccount = 'house'; // receives the rake from every prize pool
+    this.queues = new Map(); // walletAddress -> promise chain
+  }
+
+  /**
+   * Append a balance change for a wallet
+   * Entries are never updated or deleted; the balance is the running total of them.
+   * A reference makes the entry idempotent: posting the same reference twice is a no-op.
+   * @param {string} walletAddress - Wallet (or the house account)
+   * @param {number} amount - Signed amount, positive = credit
+   * @param {Object} details - { type, roundId, reference, memo }
+   * @returns {Object|null} The new entry, or null when the reference was already posted
+   */
+  post(walletAddress, amount, details = {}) {
+    return this.enqueue(walletAddress, async () => {
+      if (!walletAddress) {
+        throw new Error('Wallet address is required');
+      }
+      if (!Number.isFinite(amount) || amount === 0) {
+        throw new Error('Amount must be a non-zero number');
+      }
+
+      if (details.reference) {
+        const isNew = await redisService.sAdd(`wallet:${walletAddress}:ledger:references`, details.reference);
+        if (!isNew) return null;
+      }
+
+      const balance = await this.getBalance(walletAddress);
+      const balanceAfter = this.roundAmount(balance + amount);
+
+      if (balanceAfter < 0 && walletAddress !== this.houseAccount) {
+        if (details.reference) {
+          await redisService.sRem(`wallet:${walletAddress}:ledger:references`, details.reference);
+        }
+        throw new Error(`Insufficient balance: ${balance.toFixed(2)} available, ${Math.abs(amount).toFixed(2)} required`);
+      }
+
+      const sequence = await redisService.incr(`wallet:${walletAddress}:ledger:sequence`);
+      const entry = {
+        entryId: `${walletAddress}-${String(sequence).padStart(6, '0')}`,
+        sequence,
+        walletAddress,
+        type: details.type || 'adjustment', // deposit, entry_fee, entry_refund, prize, rake
+        amount: this.roundAmount(amount),
+        balanceBefore: balance,
+        balanceAfter,
+        roundId: details.roundId || null,
+        reference: details.reference || null,
+        memo: details.memo || '',
+        createdAt: new Date().toISOString()
+      };
+
+      await redisService.hSet(`wallet:${walletAddress}:ledger`, String(sequence), JSON.stringify(entry));
+      await redisService.set(`wallet:${walletAddress}:balance`, String(balanceAfter));
+
+      return entry;
+    });
+  }
+
+  credit(walletAddress, amount, details = {}) {
+    return this.post(walletAddress, Math.abs(amount), details);
+  }
+
+  debit(walletAddress, amount, details = {}) {
+    return this.post(walletAddress, -Math.abs(amount), details);
+  }
+
+  async getBalance(walletAddress) {
+    const balance = await redisService.get(`wallet:${walletAddress}:balance`);
+    return balance ? parseFloat(balance) : 0;
+  }
+
+  // Ledger entries for a wallet, newest first, optionally for one round
+  async getEntries(walletAddress, { roundId = null, limit = 100 } = {}) {
+    const entries = await redisService.hGetAll(`wallet:${walletAddress}:ledger`);
+
+    return Object.values(entries)
+      .map(data => JSON.parse(data))
+      .filter(entry => !roundId || entry.roundId === roundId)
+      .sort((a, b) => b.sequence - a.sequence)
+      .slice(0, limit);
+  }
+
+  // Balance, totals by entry type and recent entries
+  async getStatement(walletAddress, options = {}) {
+    const entries = await this.getEntries(walletAddress, { ...options, limit: Infinity });
+    const totals = {};
+
+    for (const entry of entries) {
+      totals[entry.type] = this.roundAmount((totals[entry.type] || 0) + entry.amount);
+    }
+
+    return {
+      walletAddress,
+      balance: await this.getBalance(walletAddress),
+      totals,
+      entries: entries.slice(0, options.limit || 100)
+    };
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Balance changes for one wallet run one after another
+  enqueue(walletAddress, task) {
+    const previous = this.queues.get(walletAddress) || Promise.resolve();
+    const next = previous.then(task, task);
+    const settled = next.catch(() => {});
+
+    this.queues.set(walletAddress, settled);
+    settled.then(() => {
+      if (this.queues.get(walletAddress) === settled) this.queues.delete(walletAddress);
+    });
+
+    return next;
+  }
+}
+
+module.exports = new WalletLedgerService();
@@ -0,0 +1,52 @@
+const feeService = require('../services/feeService');
+
+describe('feeService.getSettings', () => {
+  it('uses the defaults when nothing is set', () => {
+    expect(feeService.getSettings()).toEqual({ feeTier: null, tradingFee: 0.001, gasCostUsd: 0.02, feeRebate: 0 });
+  });
+
+  it('takes the trading fee from the tier table over an explicit fee', () => {
+    expect(feeService.getSettings({ feeTier: 'low', tradingFee: 0.05 }).tradingFee).toBe(0.0005);
+    expect(feeService.getSettings({ feeTier: 'exotic' }).tradingFee).toBe(0.01);
+  });
+
+  it('rejects an unknown tier', () => {
+    expect(() => feeService.getSettings({ feeTier: 'zero' })).toThrow('Unknown fee tier "zero"');
+  });
+
+  it('parses numeric strings and clamps negatives and rebates above 100%', () => {
+    expect(feeService.getSettings({ tradingFee: '0.002', gasCostUsd: -1, feeRebate: 2 })).toEqual({
+      feeTier: null,
+      tradingFee: 0.002,
+      gasCostUsd: 0,
+      feeRebate: 1
+    });
+  });
+
+  it.each(['tradingFee', 'gasCostUsd', 'feeRebate'])('rejects a non-numeric %s', name => {
+    expect(() => feeService.getSettings({ [name]: 'abc' })).toThrow(`${name} must be a number`);
+  });
+});
+
+describe('feeService.calculate', () => {
+  it('charges the tier fee plus gas on the notional', () => {
+    const fees = feeService.calculate(10000, feeService.getSettings({ feeTier: 'standard' }));
+
+    expect(fees.swapFee).toBeCloseTo(30);
+    expect(fees.gasFee).toBe(0.02);
+    expect(fees.rebate).toBe(0);
+    expect(fees.total).toBeCloseTo(30.02);
+  });
+
+  it('pays the rebate back out of the swap fee only', () => {
+    const fees = feeService.calculate(1000, feeService.getSettings({ tradingFee: 0.01, gasCostUsd: 0.5, feeRebate: 0.25 }));
+
+    expect(fees.swapFee).toBeCloseTo(10);
+    expect(fees.rebate).toBeCloseTo(2.5);
+    expect(fees.total).toBeCloseTo(8);
+  });
+
+  it('still charges gas on a zero-fee fill', () => {
+    expect(feeService.calculate(1000, { tradingFee: 0, gasCostUsd: 0.02, feeRebate: 0 }).total).toBe(0.02);
+  });
+});
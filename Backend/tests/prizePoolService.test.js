@@ -0,0 +1,93 @@
+const prizePoolService = require('../services/prizePoolService');
+
+const standings = (...pnls) => pnls.map((pnl, index) => ({ rank: index + 1, walletAddress: `0x${index + 1}`, pnl }));
+const amounts = payouts => payouts.map(payout => payout.amount);
+const total = payouts => Math.round(payouts.reduce((sum, payout) => sum + payout.amount, 0) * 100) / 100;
+
+describe('prizePoolService.getSettings', () => {
+  it('defaults to a free winner-takes-all round', () => {
+    expect(prizePoolService.getSettings()).toEqual({
+      entryFee: 0,
+      rakePercent: 0.05,
+      payoutCurve: 'winner_takes_all',
+      entries: 0,
+      collected: 0
+    });
+  });
+
+  it('rejects unknown curves, negative fees and out-of-range rake', () => {
+    expect(() => prizePoolService.getSettings({ payoutCurve: 'top_10' })).toThrow('Unknown payout curve');
+    expect(() => prizePoolService.getSettings({ entryFee: -1 })).toThrow('Entry fee must be zero or more');
+    expect(() => prizePoolService.getSettings({ entryFee: 'abc' })).toThrow('Entry fee must be zero or more');
+    expect(() => prizePoolService.getSettings({ rakePercent: 1 })).toThrow('Rake must be between 0 and 1');
+  });
+});
+
+describe('prizePoolService.calculatePayouts', () => {
+  it('pays nothing for an empty pool or no standings', () => {
+    expect(prizePoolService.calculatePayouts(standings(10), 0, 'winner_takes_all')).toEqual([]);
+    expect(prizePoolService.calculatePayouts([], 100, 'top_3')).toEqual([]);
+  });
+
+  it('gives the whole pool to the winner', () => {
+    const payouts = prizePoolService.calculatePayouts(standings(30, 20, 10), 95, 'winner_takes_all');
+
+    expect(payouts).toEqual([{ walletAddress: '0x1', rank: 1, team: null, share: 1, amount: 95 }]);
+  });
+
+  it('splits top_3 as 50/30/20', () => {
+    const payouts = prizePoolService.calculatePayouts(standings(30, 20, 10, 5), 100, 'top_3');
+
+    expect(amounts(payouts)).toEqual([50, 30, 20]);
+    expect(payouts.map(payout => payout.walletAddress)).toEqual(['0x1', '0x2', '0x3']);
+  });
+
+  it('spreads top_3 over the places that exist with fewer than three players', () => {
+    expect(amounts(prizePoolService.calculatePayouts(standings(30, 20), 80, 'top_3'))).toEqual([50, 30]);
+    expect(amounts(prizePoolService.calculatePayouts(standings(30), 80, 'top_3'))).toEqual([80]);
+  });
+
+  it('splits proportionally by profit, skipping players who lost money', () => {
+    const payouts = prizePoolService.calculatePayouts(standings(30, 10, -5), 100, 'proportional');
+
+    expect(amounts(payouts)).toEqual([75, 25]);
+  });
+
+  it('gives a proportional pool to the top rank when nobody finished in profit', () => {
+    const payouts = prizePoolService.calculatePayouts(standings(-1, -2), 100, 'proportional');
+
+    expect(payouts).toHaveLength(1);
+    expect(payouts[0]).toMatchObject({ walletAddress: '0x1', amount: 100 });
+  });
+
+  it('splits a team share evenly between its members', () => {
+    const teams = [
+      { rank: 1, team: 'Bulls', pnl: 50, members: [{ walletAddress: '0xa' }, { walletAddress: '0xb' }] },
+      { rank: 2, team: 'Bears', pnl: 10, members: [{ walletAddress: '0xc' }] }
+    ];
+    const payouts = prizePoolService.calculatePayouts(teams, 100, 'top_3');
+
+    expect(payouts.map(({ walletAddress, rank, team, amount }) => ({ walletAddress, rank, team, amount }))).toEqual([
+      { walletAddress: '0xa', rank: 1, team: 'Bulls', amount: 31.25 },
+      { walletAddress: '0xb', rank: 1, team: 'Bulls', amount: 31.25 },
+      { walletAddress: '0xc', rank: 2, team: 'Bears', amount: 37.5 }
+    ]);
+    expect(payouts[0].share).toBeCloseTo(0.3125);
+    expect(payouts[2].share).toBeCloseTo(0.375);
+  });
+
+  it('floors payouts to the cent and gives the rounding dust to the first payout', () => {
+    const teams = [{ rank: 1, team: 'Trio', pnl: 1, members: [{ walletAddress: '0xa' }, { walletAddress: '0xb' }, { walletAddress: '0xc' }] }];
+    const payouts = prizePoolService.calculatePayouts(teams, 100, 'winner_takes_all');
+
+    expect(amounts(payouts)).toEqual([33.34, 33.33, 33.33]);
+    expect(total(payouts)).toBe(100);
+  });
+
+  it('never pays out more than the pool', () => {
+    const payouts = prizePoolService.calculatePayouts(standings(1, 1, 1), 10.01, 'proportional');
+
+    expect(amounts(payouts)).toEqual([3.35, 3.33, 3.33]);
+    expect(total(payouts)).toBe(10.01);
+  });
+});
@@ -0,0 +1,111 @@
+const redisService = require('../services/redisService');
+const walletLedgerService = require('../services/walletLedgerService');
+
+describe('walletLedgerService.post', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await redisService.disconnect();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('appends entries with running balances', async () => {
+    await walletLedgerService.credit('0xa', 50, { type: 'deposit' });
+    const entry = await walletLedgerService.debit('0xa', 20, { type: 'entry_fee', roundId: 'round_1' });
+
+    expect(entry).toMatchObject({
+      entryId: '0xa-000002',
+      sequence: 2,
+      type: 'entry_fee',
+      amount: -20,
+      balanceBefore: 50,
+      balanceAfter: 30,
+      roundId: 'round_1'
+    });
+    expect(await walletLedgerService.getBalance('0xa')).toBe(30);
+  });
+
+  it('treats a repeated reference as a no-op', async () => {
+    await walletLedgerService.credit('0xa', 100, { type: 'deposit' });
+
+    const first = await walletLedgerService.debit('0xa', 10, { type: 'entry_fee', reference: 'round_1:entry_fee' });
+    const second = await walletLedgerService.debit('0xa', 10, { type: 'entry_fee', reference: 'round_1:entry_fee' });
+
+    expect(first).not.toBeNull();
+    expect(second).toBeNull();
+    expect(await walletLedgerService.getBalance('0xa')).toBe(90);
+    expect(await walletLedgerService.getEntries('0xa')).toHaveLength(2);
+  });
+
+  it('keeps concurrent posts with the same reference to one entry', async () => {
+    await walletLedgerService.credit('0xa', 100, { type: 'deposit' });
+
+    const results = await Promise.all([1, 2, 3].map(() =>
+      walletLedgerService.credit('0xa', 5, { type: 'prize', reference: 'round_1:prize' })));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await walletLedgerService.getBalance('0xa')).toBe(105);
+  });
+
+  it('rolls back the reference when the balance is insufficient', async () => {
+    await walletLedgerService.credit('0xa', 5, { type: 'deposit' });
+
+    await expect(walletLedgerService.debit('0xa', 10, { type: 'entry_fee', reference: 'round_1:entry_fee' }))
+      .rejects.toThrow('Insufficient balance: 5.00 available, 10.00 required');
+    expect(await walletLedgerService.getBalance('0xa')).toBe(5);
+    expect(await walletLedgerService.getEntries('0xa')).toHaveLength(1);
+
+    // The same reference goes through once the wallet can cover it
+    await walletLedgerService.credit('0xa', 5, { type: 'deposit' });
+    const entry = await walletLedgerService.debit('0xa', 10, { type: 'entry_fee', reference: 'round_1:entry_fee' });
+
+    expect(entry.balanceAfter).toBe(0);
+  });
+
+  it('lets the house account go negative', async () => {
+    const entry = await walletLedgerService.debit(walletLedgerService.houseAccount, 3, { type: 'adjustment' });
+
+    expect(entry.balanceAfter).toBe(-3);
+  });
+
+  it('rejects a missing wallet or a zero amount', async () => {
+    await expect(walletLedgerService.post(null, 10)).rejects.toThrow('Wallet address is required');
+    await expect(walletLedgerService.post('0xa', 0)).rejects.toThrow('Amount must be a non-zero number');
+    await expect(walletLedgerService.post('0xa', NaN)).rejects.toThrow('Amount must be a non-zero number');
+  });
+
+  it('rounds amounts to the cent', async () => {
+    const entry = await walletLedgerService.credit('0xa', 10.005, { type: 'deposit' });
+
+    expect(entry.amount).toBe(10.01);
+    expect(entry.balanceAfter).toBe(10.01);
+  });
+});
+
+describe('walletLedgerService.getStatement', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await redisService.disconnect();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('totals entries by type, newest first, optionally for one round', async () => {
+    await walletLedgerService.credit('0xa', 100, { type: 'deposit' });
+    await walletLedgerService.debit('0xa', 10, { type: 'entry_fee', roundId: 'round_1' });
+    await walletLedgerService.credit('0xa', 19, { type: 'prize', roundId: 'round_1' });
+    await walletLedgerService.debit('0xa', 10, { type: 'entry_fee', roundId: 'round_2' });
+
+    const statement = await walletLedgerService.getStatement('0xa');
+    expect(statement.balance).toBe(99);
+    expect(statement.totals).toEqual({ deposit: 100, entry_fee: -20, prize: 19 });
+    expect(statement.entries.map(entry => entry.sequence)).toEqual([4, 3, 2, 1]);
+
+    const roundStatement = await walletLedgerService.getStatement('0xa', { roundId: 'round_1' });
+    expect(roundStatement.totals).toEqual({ entry_fee: -10, prize: 19 });
+  });
+});